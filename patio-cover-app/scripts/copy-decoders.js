@@ -0,0 +1,34 @@
+// Copy the Draco and Basis (KTX2) decoders that ship with three into
+// public/decoders, so compressed models load without a CDN and offline.
+// Runs before `npm run dev` and `npm run build`; the copies are not committed
+// and always match the installed three version.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const LIBS_DIR = path.join(ROOT, 'node_modules', 'three', 'examples', 'jsm', 'libs');
+const OUTPUT_DIR = path.join(ROOT, 'public', 'decoders');
+
+// Output folder -> files from three's libs folder (see utils/modelLoading.js)
+const DECODERS = {
+  draco: ['draco/gltf/draco_decoder.js', 'draco/gltf/draco_decoder.wasm', 'draco/gltf/draco_wasm_wrapper.js'],
+  basis: ['basis/basis_transcoder.js', 'basis/basis_transcoder.wasm'],
+};
+
+async function main() {
+  for (const [folder, files] of Object.entries(DECODERS)) {
+    const target = path.join(OUTPUT_DIR, folder);
+    await fs.mkdir(target, { recursive: true });
+    for (const file of files) {
+      await fs.copyFile(path.join(LIBS_DIR, file), path.join(target, path.basename(file)));
+    }
+    console.log(`✓ decoders/${folder}: ${files.map((file) => path.basename(file)).join(', ')}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Could not copy the model decoders: ${error.message}`);
+  process.exitCode = 1;
+});
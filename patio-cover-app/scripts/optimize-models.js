@@ -0,0 +1,259 @@
+// Check the catalog models in public/models against public/models.json and
+// write optimized copies for the production build.
+//
+//   npm run optimize-models                    optimize into dist/models
+//   npm run optimize-models -- --budget=2      fail above 2 MB per model
+//   npm run optimize-models -- --geometry=meshopt --ktx2
+//   npm run optimize-models -- --out=build     write build/models instead
+//
+// Runs after `npm run build` and replaces the copies Vite put in dist, so the
+// app loads the same paths in production and the originals in development.
+// Each model gets Draco (or Meshopt) geometry, WebP textures (KTX2 with
+// --ktx2, which needs KTX-Software's `toktx` on the PATH) no larger than
+// MAX_TEXTURE_SIZE, and simplified levels of detail next to it as
+// <name>.lod1.glb, <name>.lod2.glb. The app does not load those yet; they
+// are built so their sizes can be budgeted and for distance-based switching
+// later. A size report is printed and saved outside the deployed folder, in
+// build-reports/model-size-report.json.
+//
+// Fails when a catalog entry points at a missing file, a model's own
+// resources or slot nodes cannot be found, or an optimized model is larger
+// than the budget (MODEL_BUDGET_MB, 1.5 MB unless set).
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Logger, NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS, KHRTextureBasisu } from '@gltf-transform/extensions';
+import {
+  cloneDocument,
+  dedup,
+  draco,
+  listTextureSlots,
+  meshopt,
+  prune,
+  simplify,
+  textureCompress,
+  weld,
+} from '@gltf-transform/functions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
+import sharp from 'sharp';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const MODELS_DIR = path.join(PUBLIC_DIR, 'models');
+const CATALOG_PATH = path.join(PUBLIC_DIR, 'models.json');
+const REPORT_PATH = path.join(ROOT, 'build-reports', 'model-size-report.json');
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+
+const DEFAULT_BUDGET_MB = 1.5;
+const MAX_TEXTURE_SIZE = 2048;
+// Share of triangles aimed for, the largest shape error allowed (as a
+// fraction of the model's size) and the texture size of each level of detail
+const LOD_LEVELS = [
+  { ratio: 0.5, error: 0.01, textureSize: 1024 },
+  { ratio: 0.2, error: 0.05, textureSize: 512 },
+];
+// Textures holding colors; the rest (normals, roughness, ...) are linear data
+const COLOR_SLOTS = ['baseColorTexture', 'emissiveTexture', 'diffuseTexture', 'specularGlossinessTexture'];
+
+function readOptions(args) {
+  const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const budget = Number(option('budget') ?? process.env.MODEL_BUDGET_MB ?? DEFAULT_BUDGET_MB);
+  const geometry = option('geometry') ?? 'draco';
+  if (!(budget > 0)) throw new Error('--budget must be a positive number of megabytes');
+  if (!['draco', 'meshopt'].includes(geometry)) throw new Error('--geometry must be draco or meshopt');
+  return {
+    budget: budget * 1024 * 1024,
+    geometry,
+    ktx2: args.includes('--ktx2'),
+    outDir: path.resolve(ROOT, option('out') ?? 'dist', 'models'),
+  };
+}
+
+async function createIO() {
+  await MeshoptEncoder.ready;
+  await MeshoptDecoder.ready;
+  return new NodeIO()
+    .setLogger(new Logger(Logger.Verbosity.WARN))
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder,
+    });
+}
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// --- Validation -------------------------------------------------------------
+
+// Catalog entries by model file name, plus a message for every reference to
+// a file that is not there
+async function readCatalogReferences() {
+  const catalog = JSON.parse(await fs.readFile(CATALOG_PATH, 'utf8'));
+  const entries = new Map();
+  const errors = [];
+  for (const entry of catalog.models) {
+    if (!entry.value?.startsWith('/models/')) continue;
+    const file = entry.value.slice('/models/'.length);
+    try {
+      await fs.access(path.join(MODELS_DIR, file));
+      entries.set(file, [...(entries.get(file) || []), entry]);
+    } catch {
+      errors.push(`${entry.id}: "${entry.value}" does not exist in public/models`);
+    }
+  }
+  return { entries, errors };
+}
+
+// Slot nodes from models.json that are neither a node nor a mesh in the model
+function missingSlotNodes(document, entries) {
+  const root = document.getRoot();
+  const names = new Set([...root.listNodes(), ...root.listMeshes()].map((property) => property.getName()));
+  return entries.flatMap((entry) =>
+    Object.entries(entry.slots || {}).flatMap(([slot, { nodes = [slot] }]) =>
+      nodes.filter((name) => !names.has(name)).map((name) => `${entry.id}: slot "${slot}" node "${name}"`)
+    )
+  );
+}
+
+// --- Optimization -----------------------------------------------------------
+
+function hasToktx() {
+  return !spawnSync('toktx', ['--version']).error;
+}
+
+// Re-encode every texture as KTX2 with toktx: UASTC for linear data, which
+// keeps normal maps clean, and ETC1S for colors
+async function compressTexturesKtx2(document, size) {
+  const root = document.getRoot();
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ktx2-'));
+  try {
+    for (const [index, texture] of root.listTextures().entries()) {
+      if (texture.getMimeType() === 'image/ktx2') continue;
+      const isColor = listTextureSlots(texture).some((slot) => COLOR_SLOTS.includes(slot));
+      const input = path.join(workDir, `${index}.png`);
+      const output = path.join(workDir, `${index}.ktx2`);
+      await sharp(texture.getImage())
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toFile(input);
+      const encoding = isColor
+        ? ['--encode', 'etc1s', '--clevel', '2', '--qlevel', '128']
+        : ['--encode', 'uastc', '--zcmp', '18', '--assign_oetf', 'linear'];
+      const result = spawnSync('toktx', ['--t2', '--genmipmap', ...encoding, output, input]);
+      if (result.status !== 0) {
+        throw new Error(`toktx failed: ${result.stderr?.toString().trim() || result.error?.message}`);
+      }
+      texture.setImage(await fs.readFile(output)).setMimeType('image/ktx2');
+      if (texture.getURI()) texture.setURI(texture.getURI().replace(/\.\w+$/, '.ktx2'));
+    }
+    if (root.listTextures().length) document.createExtension(KHRTextureBasisu).setRequired(true);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function optimizeVariant(source, { ratio, error, textureSize }, options) {
+  const document = cloneDocument(source);
+  if (ratio < 1) {
+    await document.transform(simplify({ simplifier: MeshoptSimplifier, ratio, error }));
+  }
+  if (options.ktx2) {
+    await compressTexturesKtx2(document, textureSize);
+  } else {
+    await document.transform(
+      textureCompress({ encoder: sharp, targetFormat: 'webp', resize: [textureSize, textureSize] })
+    );
+  }
+  await document.transform(
+    options.geometry === 'draco' ? draco({ method: 'edgebreaker' }) : meshopt({ encoder: MeshoptEncoder })
+  );
+  return document;
+}
+
+async function optimizeModel(io, file, entries, options) {
+  const sourcePath = path.join(MODELS_DIR, file);
+  const source = await io.read(sourcePath);
+  const problems = missingSlotNodes(source, entries);
+  if (problems.length) throw new Error(`missing slot nodes (${problems.join(', ')})`);
+  await source.transform(dedup(), prune(), weld());
+
+  const name = path.basename(file, path.extname(file));
+  const levels = [{ ratio: 1, textureSize: MAX_TEXTURE_SIZE }, ...LOD_LEVELS];
+  const report = { file, original: (await fs.stat(sourcePath)).size, lods: [] };
+  for (const [index, level] of levels.entries()) {
+    const document = await optimizeVariant(source, level, options);
+    const target = index === 0 ? file : `${name}.lod${index}.glb`;
+    const bytes = await io.writeBinary(document);
+    await fs.mkdir(path.dirname(path.join(options.outDir, target)), { recursive: true });
+    // GLTF sources keep their JSON layout; variants and GLBs are single files
+    if (index === 0 && path.extname(file) === '.gltf') {
+      await io.write(path.join(options.outDir, target), document);
+    } else {
+      await fs.writeFile(path.join(options.outDir, target), bytes);
+    }
+    if (index === 0) report.optimized = bytes.byteLength;
+    else report.lods.push({ file: target, size: bytes.byteLength });
+  }
+  return report;
+}
+
+// --- Main -------------------------------------------------------------------
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  if (options.ktx2 && !hasToktx()) {
+    throw new Error('--ktx2 needs the toktx tool from KTX-Software on the PATH');
+  }
+
+  const io = await createIO();
+  const { entries, errors } = await readCatalogReferences();
+  const files = (await fs.readdir(MODELS_DIR)).filter((file) =>
+    MODEL_EXTENSIONS.includes(path.extname(file).toLowerCase())
+  );
+
+  const reports = [];
+  for (const file of files) {
+    if (!entries.has(file)) {
+      console.warn(`- ${file}: not used by models.json, skipped`);
+      continue;
+    }
+    try {
+      const report = await optimizeModel(io, file, entries.get(file), options);
+      report.overBudget = report.optimized > options.budget;
+      if (report.overBudget) {
+        errors.push(`${file}: ${formatSize(report.optimized)} is over the ${formatSize(options.budget)} budget`);
+      }
+      reports.push(report);
+      const lods = report.lods.map((lod) => formatSize(lod.size)).join(', ');
+      console.log(
+        `${report.overBudget ? '✗' : '✓'} ${file}: ${formatSize(report.original)} → ` +
+          `${formatSize(report.optimized)} (LODs ${lods})`
+      );
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  await fs.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.writeFile(
+    REPORT_PATH,
+    `${JSON.stringify({ budget: options.budget, models: reports }, null, 2)}\n`
+  );
+
+  if (errors.length) {
+    console.error(`\nModel optimization failed:\n${errors.map((error) => `  ${error}`).join('\n')}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
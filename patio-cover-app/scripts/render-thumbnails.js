@@ -0,0 +1,354 @@
+// Render a catalog thumbnail for every model in public/models.json and record
+// its bounding box, so adding a model needs no manual screenshots.
+//
+//   npm run thumbnails                 render models without a custom thumbnail
+//   npm run thumbnails -- --force      re-render every model
+//   npm run thumbnails -- gazebo       only the listed model ids
+//
+// Runs headless without a GPU: meshes are read with glTF-Transform and drawn
+// by a small software rasterizer as flat-shaded "clay", so every thumbnail has
+// the same look regardless of the model's own materials. The camera matches
+// the in-browser gallery thumbnails (utils/modelThumbnails.js).
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
+import * as THREE from 'three';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder } from 'meshoptimizer';
+import { buildCoverParts, isParametricModel } from '../src/utils/parametricCover.js';
+import { parseDimensions } from '../src/utils/units.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const CATALOG_PATH = path.join(PUBLIC_DIR, 'models.json');
+const THUMBNAIL_DIR = 'thumbnails';
+
+const SIZE = 256;
+const SUPERSAMPLE = 2;
+const FOV = 35;
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.7, 1.4).normalize();
+const LIGHT_DIRECTION = new THREE.Vector3(0.3, 1, 0.8).normalize();
+const CLAY = [214, 207, 196];
+
+// --- Geometry ---------------------------------------------------------------
+
+let io = null;
+
+// Reads Draco and Meshopt compressed models as well as plain ones
+async function getIO() {
+  if (!io) {
+    await MeshoptDecoder.ready;
+    io = new NodeIO().registerExtensions(ALL_EXTENSIONS).registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+    });
+  }
+  return io;
+}
+
+// Flat list of triangles (9 floats each) in model space
+async function readGlbTriangles(file) {
+  const document = await (await getIO()).read(file);
+  const root = document.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  const triangles = [];
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+
+  scene?.traverse((node) => {
+    const mesh = node.getMesh();
+    if (!mesh) return;
+    matrix.fromArray(node.getWorldMatrix());
+    mesh.listPrimitives().forEach((primitive) => {
+      if (primitive.getMode() !== 4) return; // triangles only
+      const positions = primitive.getAttribute('POSITION');
+      if (!positions) return;
+      const indices = primitive.getIndices();
+      const count = indices ? indices.getCount() : positions.getCount();
+      const element = [];
+      for (let i = 0; i < count; i += 1) {
+        positions.getElement(indices ? indices.getScalar(i) : i, element);
+        vertex.fromArray(element).applyMatrix4(matrix);
+        triangles.push(vertex.x, vertex.y, vertex.z);
+      }
+    });
+  });
+  return triangles;
+}
+
+// Two triangles per face of a unit cube, as indices into its corners
+const BOX_FACES = [
+  [0, 1, 2, 0, 2, 3],
+  [4, 6, 5, 4, 7, 6],
+  [0, 4, 5, 0, 5, 1],
+  [1, 5, 6, 1, 6, 2],
+  [2, 6, 7, 2, 7, 3],
+  [3, 7, 4, 3, 4, 0],
+];
+
+function parametricTriangles(entry) {
+  const triangles = [];
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  buildCoverParts(parseDimensions(entry.dimensions), entry.parameters).forEach(
+    ({ position, rotation, size }) => {
+      matrix.compose(
+        new THREE.Vector3(...position),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+        new THREE.Vector3(...size)
+      );
+      const corners = [
+        [-0.5, -0.5, -0.5],
+        [0.5, -0.5, -0.5],
+        [0.5, 0.5, -0.5],
+        [-0.5, 0.5, -0.5],
+        [-0.5, -0.5, 0.5],
+        [0.5, -0.5, 0.5],
+        [0.5, 0.5, 0.5],
+        [-0.5, 0.5, 0.5],
+      ].map((corner) => vertex.fromArray(corner).applyMatrix4(matrix).toArray());
+      BOX_FACES.flat().forEach((index) => triangles.push(...corners[index]));
+    }
+  );
+  return triangles;
+}
+
+function boundsOf(triangles) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < triangles.length; i += 3) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      min[axis] = Math.min(min[axis], triangles[i + axis]);
+      max[axis] = Math.max(max[axis], triangles[i + axis]);
+    }
+  }
+  const round = (value) => Number(value.toFixed(3));
+  return { min: min.map(round), max: max.map(round) };
+}
+
+// --- Rasterizer -------------------------------------------------------------
+
+// Draw the triangles into an RGBA buffer of `size` x `size` pixels with a
+// depth buffer and two-sided Lambert shading
+function rasterize(triangles, rotation, size) {
+  const transform = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(...rotation));
+  const world = new Float32Array(triangles.length);
+  const vertex = new THREE.Vector3();
+  for (let i = 0; i < triangles.length; i += 3) {
+    vertex.set(triangles[i], triangles[i + 1], triangles[i + 2]).applyMatrix4(transform);
+    world.set([vertex.x, vertex.y, vertex.z], i);
+  }
+
+  const box = new THREE.Box3().setFromArray(world);
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const camera = new THREE.PerspectiveCamera(FOV, 1, 0.01, 1000);
+  const distance = (sphere.radius || 1) / Math.sin(THREE.MathUtils.degToRad(FOV / 2));
+  camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance * 1.05);
+  camera.lookAt(sphere.center);
+  camera.updateMatrixWorld();
+  camera.updateProjectionMatrix();
+  const viewProjection = new THREE.Matrix4().multiplyMatrices(
+    camera.projectionMatrix,
+    camera.matrixWorldInverse
+  );
+
+  const color = new Uint8ClampedArray(size * size * 4);
+  const depth = new Float32Array(size * size).fill(Infinity);
+  const screen = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const normal = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+
+  for (let t = 0; t < world.length; t += 9) {
+    for (let k = 0; k < 3; k += 1) {
+      corners[k].fromArray(world, t + k * 3);
+      screen[k].copy(corners[k]).applyMatrix4(viewProjection);
+      screen[k].x = ((screen[k].x + 1) / 2) * size;
+      screen[k].y = ((1 - screen[k].y) / 2) * size;
+    }
+
+    normal.subVectors(corners[1], corners[0]).cross(edge.subVectors(corners[2], corners[0]));
+    if (normal.lengthSq() === 0) continue;
+    const light = 0.35 + 0.65 * Math.abs(normal.normalize().dot(LIGHT_DIRECTION));
+
+    const [a, b, c] = screen;
+    const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (area === 0) continue;
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+    const maxX = Math.min(size - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+    const maxY = Math.min(size - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+
+    for (let y = minY; y <= maxY; y += 1) {
+      const py = y + 0.5;
+      for (let x = minX; x <= maxX; x += 1) {
+        const px = x + 0.5;
+        const w0 = ((b.x - px) * (c.y - py) - (b.y - py) * (c.x - px)) / area;
+        const w1 = ((c.x - px) * (a.y - py) - (c.y - py) * (a.x - px)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+        const z = w0 * a.z + w1 * b.z + w2 * c.z;
+        const pixel = y * size + x;
+        if (z >= depth[pixel]) continue;
+        depth[pixel] = z;
+        color.set([CLAY[0] * light, CLAY[1] * light, CLAY[2] * light, 255], pixel * 4);
+      }
+    }
+  }
+  return color;
+}
+
+// Box-filter a supersampled RGBA buffer down by `factor`
+function downsample(source, size, factor) {
+  const target = new Uint8ClampedArray(size * size * 4);
+  const sourceSize = size * factor;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let alpha = 0;
+      for (let dy = 0; dy < factor; dy += 1) {
+        for (let dx = 0; dx < factor; dx += 1) {
+          const i = ((y * factor + dy) * sourceSize + x * factor + dx) * 4;
+          const weight = source[i + 3];
+          r += source[i] * weight;
+          g += source[i + 1] * weight;
+          b += source[i + 2] * weight;
+          alpha += weight;
+        }
+      }
+      const i = (y * size + x) * 4;
+      if (alpha > 0) target.set([r / alpha, g / alpha, b / alpha, alpha / factor ** 2], i);
+    }
+  }
+  return target;
+}
+
+// --- PNG --------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(rgba, size) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+  const rows = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y += 1) {
+    rows.set(rgba.subarray(y * size * 4, (y + 1) * size * 4), y * (size * 4 + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// --- Catalog ----------------------------------------------------------------
+
+// JSON with short objects and arrays kept on one line, like the hand-written
+// catalog
+function formatJson(value, indent = '', prefix = 0) {
+  const inline = (item) => {
+    if (Array.isArray(item)) return `[${item.map(inline).join(', ')}]`;
+    if (item && typeof item === 'object') {
+      const entries = Object.entries(item);
+      if (entries.length === 0) return '{}';
+      return `{ ${entries.map(([key, inner]) => `${JSON.stringify(key)}: ${inline(inner)}`).join(', ')} }`;
+    }
+    return JSON.stringify(item);
+  };
+
+  const flat = inline(value);
+  if (!value || typeof value !== 'object' || (indent && indent.length + prefix + flat.length <= 120)) {
+    return flat;
+  }
+  const inner = `${indent}  `;
+  const lines = Array.isArray(value)
+    ? value.map((item) => `${inner}${formatJson(item, inner)}`)
+    : Object.entries(value).map(([key, item]) => {
+        const label = `${JSON.stringify(key)}: `;
+        return `${inner}${label}${formatJson(item, inner, label.length + 1)}`;
+      });
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  return `${open}\n${lines.join(',\n')}\n${indent}${close}`;
+}
+
+async function renderEntry(entry) {
+  const triangles = isParametricModel(entry.value)
+    ? parametricTriangles(entry)
+    : await readGlbTriangles(path.join(PUBLIC_DIR, entry.value));
+  if (triangles.length === 0) throw new Error('the model has no triangles');
+
+  const toRadians = (degrees = 0) => THREE.MathUtils.degToRad(degrees);
+  const rotation = [
+    toRadians(entry.defaultTransform?.rotationX),
+    toRadians(entry.defaultTransform?.rotationY),
+    0,
+  ];
+  const image = downsample(rasterize(triangles, rotation, SIZE * SUPERSAMPLE), SIZE, SUPERSAMPLE);
+
+  const file = path.join(THUMBNAIL_DIR, `${entry.id}.png`);
+  await fs.mkdir(path.join(PUBLIC_DIR, THUMBNAIL_DIR), { recursive: true });
+  await fs.writeFile(path.join(PUBLIC_DIR, file), encodePng(image, SIZE));
+  return { thumbnail: `/${file}`, bounds: boundsOf(triangles) };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const only = args.filter((arg) => !arg.startsWith('--'));
+
+  const catalog = JSON.parse(await fs.readFile(CATALOG_PATH, 'utf8'));
+  let failures = 0;
+
+  for (const entry of catalog.models) {
+    if (only.length && !only.includes(entry.id)) continue;
+    // A hand-made thumbnail elsewhere is kept unless --force
+    const custom = entry.thumbnail && !entry.thumbnail.startsWith(`/${THUMBNAIL_DIR}/`);
+    if (custom && !force) {
+      console.log(`- ${entry.id}: keeping custom thumbnail ${entry.thumbnail}`);
+      continue;
+    }
+    try {
+      Object.assign(entry, await renderEntry(entry));
+      console.log(`✓ ${entry.id}: ${entry.thumbnail}`);
+    } catch (error) {
+      failures += 1;
+      console.error(`✗ ${entry.id}: ${error.message}`);
+    }
+  }
+
+  await fs.writeFile(CATALOG_PATH, `${formatJson(catalog)}\n`);
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,87 +1,344 @@
-import React, { useState, useRef, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import { Canvas } from '@react-three/fiber';
-import { OrbitControls } from '@react-three/drei';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import * as THREE from 'three';
-import EXIF from 'exif-js';
+import {
+  composeDesign,
+  createThumbnail,
+  cropPreviewCanvas,
+  downloadCanvas,
+} from './utils/exportDesign';
+import { renderSceneOffscreen } from './utils/offscreenRender';
+import {
+  DIMENSION_LIMITS,
+  POSITION_LIMITS,
+  applyDesignChanges,
+  createItem,
+  duplicateItem,
+  isWallMounted,
+  itemDefaultsFromCatalog,
+  replaceModel,
+  transformFromObject,
+  updateItem,
+  wallPlacement,
+} from './utils/sceneItems';
+import { isParametricModel } from './utils/parametricCover';
+import {
+  formatPriceBasis,
+  loadFavoriteModels,
+  parseCatalog,
+  storeFavoriteModels,
+} from './utils/catalog';
+import { createDefaultWallLine, solveWallLine } from './utils/wallMount';
+import {
+  UNIT_SYSTEMS,
+  formatLength,
+  fromDisplayLength,
+  loadUnitSystem,
+  storeUnitSystem,
+  toDisplayLength,
+} from './utils/units';
+import {
+  DEFAULT_CAMERA,
+  DEFAULT_CAMERA_HEIGHT,
+  createDefaultRectangle,
+  getVisibleFov,
+  solveCameraFromRectangle,
+} from './utils/cameraCalibration';
+import { fovFromExif, readExif } from './utils/exif';
+import { normalizeOrientation } from './utils/imageOrientation';
+import { clearMask, maskFromBlob, maskToBlob, renderForeground } from './utils/occlusionMask';
+import {
+  deleteProject,
+  duplicateProject,
+  getProject,
+  listProjects,
+  renameProject,
+  saveProject,
+} from './utils/projectStore';
+import PatioCover from './components/PatioCover';
+import ItemList from './components/ItemList';
+import CameraRig from './components/CameraRig';
+import PerspectiveCalibration from './components/PerspectiveCalibration';
+import ReferenceLine from './components/ReferenceLine';
+import { createDefaultReferenceLine, solveReferenceScale } from './utils/referenceScale';
+import OcclusionMask from './components/OcclusionMask';
+import useHistory from './hooks/useHistory';
+import ProjectList from './components/ProjectList';
+import LengthControl from './components/LengthControl';
+import CoverParameters from './components/CoverParameters';
+import FinishPicker from './components/FinishPicker';
+import { LOAD_ERROR_MESSAGES, detectTextureSupport } from './utils/modelLoading';
+import { preloadModels } from './utils/assetManager';
+import { readModelFiles, registerCustomModel, usedCustomModels } from './utils/customModels';
+import { IMPORT_UNITS, IMPORT_UP_AXES } from './utils/modelFormats';
+import ModelGallery from './components/ModelGallery';
 import './App.css';
 
-function PatioCover({ modelPath, position, rotationX, rotationY, scale }) {
-  const [model, setModel] = useState(null);
-  const modelCache = useRef(new Map());
-
-  useEffect(() => {
-    if (modelCache.current.has(modelPath)) {
-      setModel(modelCache.current.get(modelPath));
-      return;
-    }
-
-    const loader = new GLTFLoader();
-    loader.load(
-      modelPath,
-      (gltf) => {
-        const scene = gltf.scene;
-        modelCache.current.set(modelPath, scene);
-        setModel(scene);
-      },
-      undefined,
-      (error) => {
-        console.error('Error loading GLTF model:', error);
-        alert('Failed to load the 3D model. Using a placeholder instead.');
-      }
-    );
-  }, [modelPath]);
-
-  if (!model) {
-    return (
-      <mesh position={position} rotation={[rotationX, rotationY, 0]} scale={scale}>
-        <boxGeometry args={[2, 0.2, 2]} />
-        <meshStandardMaterial color="gray" />
-      </mesh>
-    );
-  }
-
-  return (
-    <primitive
-      object={model}
-      position={position}
-      rotation={[rotationX, rotationY, 0]}
-      scale={scale}
-    />
-  );
-}
+// Undoable part of the editor state: placed structures and photo framing.
+// `referenceScale` is the result of measuring a known object in the photo.
+const INITIAL_DESIGN = {
+  items: [],
+  zoom: 1,
+  backgroundZoom: 1,
+  pan: { x: 0, y: 0 },
+  referenceScale: null,
+};
 
 function App() {
   const [photo, setPhoto] = useState(null);
   const [step, setStep] = useState('capture');
-  const [patioPosition, setPatioPosition] = useState([0, 0, 0]);
-  const [rotationX, setRotationX] = useState(Math.PI);
-  const [rotationY, setRotationY] = useState(Math.PI);
-  const [scale, setScale] = useState(1);
   const [modelOptions, setModelOptions] = useState([]);
-  const [selectedModel, setSelectedModel] = useState(null);
-  const [zoom, setZoom] = useState(1);
-  const [backgroundZoom, setBackgroundZoom] = useState(1);
-  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [finishLibrary, setFinishLibrary] = useState({});
+  const [catalogErrors, setCatalogErrors] = useState([]);
+  // Failed model downloads by model path, and a counter per path that retries them
+  const [modelErrors, setModelErrors] = useState({});
+  const [reloadKeys, setReloadKeys] = useState({});
+  const [favoriteModels, setFavoriteModels] = useState(loadFavoriteModels);
+  const [selectedItemId, setSelectedItemId] = useState(null);
+  const [gizmoMode, setGizmoMode] = useState('translate');
   const [isDragging, setIsDragging] = useState(false);
+  // Imported model packages (see utils/customModels) and whether files are
+  // being dragged over the preview
+  const [customModels, setCustomModels] = useState([]);
+  // Unit and up axis of imported OBJ, FBX and STL files ('auto' to detect)
+  const [importSettings, setImportSettings] = useState({ unit: 'auto', upAxis: 'auto' });
+  const [isDroppingModel, setIsDroppingModel] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
-  const [imageRotation, setImageRotation] = useState(0);
+  const [exifTags, setExifTags] = useState(null);
+  const [photoLayout, setPhotoLayout] = useState(null);
+  const [exportScale, setExportScale] = useState(1);
+  const [cameraSettings, setCameraSettings] = useState(DEFAULT_CAMERA);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [calibration, setCalibration] = useState(null);
+  const [calibrationResult, setCalibrationResult] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+  const [cameraHeight, setCameraHeight] = useState(DEFAULT_CAMERA_HEIGHT);
+  const [edgeLength, setEdgeLength] = useState('');
+  const [isMeasuringReference, setIsMeasuringReference] = useState(false);
+  const [referenceLine, setReferenceLine] = useState(null);
+  const [referenceLength, setReferenceLength] = useState('');
+  const [referenceError, setReferenceError] = useState(null);
+  const [isTracingWall, setIsTracingWall] = useState(false);
+  const [wallLine, setWallLine] = useState(null);
+  const [wallError, setWallError] = useState(null);
+  const [isEditingMask, setIsEditingMask] = useState(false);
+  const [maskTool, setMaskTool] = useState('brush');
+  const [brushSize, setBrushSize] = useState(20);
+  const [maskVersion, setMaskVersion] = useState(0);
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [projectName, setProjectName] = useState('');
+  const [projectStatus, setProjectStatus] = useState(null);
+  const [unitSystem, setUnitSystem] = useState(loadUnitSystem);
+  const [nativeSizes, setNativeSizes] = useState({});
   const canvasRef = useRef();
+  const threeRef = useRef(null);
+  const isTransformingRef = useRef(false);
+  const maskRef = useRef(null);
   const videoRef = useRef(null);
   const streamRef = useRef(null);
   const imageContainerRef = useRef(null);
 
-  // Memoized props for PatioCover
-  const patioProps = useMemo(
-    () => ({
-      modelPath: selectedModel,
-      position: patioPosition,
-      rotationX,
-      rotationY,
-      scale,
-    }),
-    [selectedModel, patioPosition, rotationX, rotationY, scale]
+  const {
+    state: design,
+    set: setDesign,
+    undo,
+    redo,
+    reset: resetDesign,
+    canUndo,
+    canRedo,
+  } = useHistory(INITIAL_DESIGN);
+  const { items, zoom, backgroundZoom, pan, referenceScale } = design;
+  // Scene units per real-world meter, from the reference measurement
+  const sceneScale = referenceScale?.scale ?? 1;
+
+  // Record a change to the design; changes sharing a coalesceKey in quick
+  // succession (slider drags, gizmo drags, panning) become one undo step
+  const updateDesign = (changes, coalesceKey = null) => {
+    setDesign((current) => applyDesignChanges(current, changes), { coalesceKey });
+  };
+
+  const setItems = (update, coalesceKey = null) => {
+    updateDesign(
+      (current) => ({
+        items: typeof update === 'function' ? update(current.items) : update,
+      }),
+      coalesceKey
+    );
+  };
+
+  const selectedItem = useMemo(
+    () => items.find((item) => item.id === selectedItemId) || null,
+    [items, selectedItemId]
+  );
+
+  // Apply changes to the structure the sliders are currently editing
+  const updateSelectedItem = (changes, { coalesce = true } = {}) => {
+    if (!selectedItemId) return;
+    setItems(
+      (current) => updateItem(current, selectedItemId, changes),
+      coalesce ? `${selectedItemId}:${Object.keys(changes).join(',')}` : null
+    );
+  };
+
+  // Real-world size of an item: as set by the user or the catalog, otherwise
+  // the loaded model's own size (taken as meters)
+  const getItemDimensions = (item) => item.dimensions || nativeSizes[item.modelPath] || null;
+
+  const getModelOption = (modelPath) => modelOptions.find((option) => option.value === modelPath);
+
+  const catalogDefaults = (modelPath) => itemDefaultsFromCatalog(getModelOption(modelPath));
+
+  const handleNativeSize = useCallback((modelPath, size) => {
+    setNativeSizes((current) => (current[modelPath] ? current : { ...current, [modelPath]: size }));
+  }, []);
+
+  const handleModelLoadError = useCallback((modelPath, error) => {
+    setModelErrors((current) => ({ ...current, [modelPath]: error }));
+  }, []);
+
+  const dismissModelError = (modelPath) => {
+    setModelErrors((current) => {
+      const next = { ...current };
+      delete next[modelPath];
+      return next;
+    });
+  };
+
+  const retryModel = (modelPath) => {
+    dismissModelError(modelPath);
+    setReloadKeys((current) => ({ ...current, [modelPath]: (current[modelPath] || 0) + 1 }));
+  };
+
+  // Keep item state in sync while the on-canvas gizmo moves an object. The
+  // object is read right away: the gizmo resets its scale after this call.
+  const handleGizmoTransform = (id, object) => {
+    const item = items.find((entry) => entry.id === id);
+    const dimensions = item && getItemDimensions(item);
+    if (!dimensions) return;
+    const changes = transformFromObject(object, dimensions, item.rotationX);
+    setItems((current) => updateItem(current, id, changes), `gizmo:${id}`);
+  };
+
+  const updateSelectedDimension = (axis, value) => {
+    const dimensions = getItemDimensions(selectedItem);
+    if (!dimensions) return;
+    updateSelectedItem({ dimensions: { ...dimensions, [axis]: value } });
+  };
+
+  // Switching models resets the item to the new catalog entry's defaults
+  const changeSelectedModel = (modelPath) => {
+    if (!selectedItem) return;
+    const item = replaceModel(selectedItem, modelPath, catalogDefaults(modelPath));
+    setItems((current) => current.map((entry) => (entry.id === item.id ? item : entry)));
+  };
+
+  const updateSelectedParameter = (key, value) => {
+    const item = { ...selectedItem, parameters: { ...selectedItem.parameters, [key]: value } };
+    updateSelectedItem({
+      parameters: item.parameters,
+      ...(key === 'mounting' && isWallMounted(item) && wallPlacement(item, sceneScale)),
+    });
+  };
+
+  const updateSelectedFinish = (slot, finishId) => {
+    updateSelectedItem({ finishes: { ...selectedItem.finishes, [slot]: finishId } }, { coalesce: false });
+  };
+
+  const toggleFavoriteModel = (id) => {
+    const next = favoriteModels.includes(id)
+      ? favoriteModels.filter((favorite) => favorite !== id)
+      : [...favoriteModels, id];
+    setFavoriteModels(next);
+    storeFavoriteModels(next);
+  };
+
+  const changeUnitSystem = (system) => {
+    setUnitSystem(system);
+    storeUnitSystem(system);
+  };
+
+  const addItem = () => {
+    const modelPath = selectedItem?.modelPath || modelOptions[0]?.value;
+    if (!modelPath) return;
+    const item = createItem(modelPath, catalogDefaults(modelPath));
+    setItems((current) => [...current, item]);
+    setSelectedItemId(item.id);
+  };
+
+  // Make imported packages selectable in the gallery
+  const addCustomModelOptions = (options) => {
+    setModelOptions((current) => [
+      ...current,
+      ...options.filter((option) => !current.some((entry) => entry.id === option.id)),
+    ]);
+  };
+
+  // Place every model found in the dropped or picked files
+  const importModels = async (files) => {
+    try {
+      const packages = await readModelFiles(files, importSettings);
+      const options = await Promise.all(packages.map(registerCustomModel));
+      setCustomModels((current) => [...current, ...packages]);
+      addCustomModelOptions(options);
+      const added = options.map((option) => createItem(option.value));
+      setItems((current) => [...current, ...added]);
+      setSelectedItemId(added[added.length - 1].id);
+    } catch (error) {
+      console.error('Error importing a model:', error);
+      alert(`Could not import the model: ${error.message}`);
+    }
+  };
+
+  const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleModelDragOver = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDroppingModel(true);
+  };
+
+  const handleModelDrop = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    setIsDroppingModel(false);
+    importModels(Array.from(e.dataTransfer.files));
+  };
+
+  const duplicateSelectedItem = () => {
+    if (!selectedItem) return;
+    const item = duplicateItem(selectedItem);
+    setItems((current) => [...current, item]);
+    setSelectedItemId(item.id);
+  };
+
+  const deleteSelectedItem = () => {
+    if (!selectedItemId) return;
+    const index = items.findIndex((item) => item.id === selectedItemId);
+    const remaining = items.filter((item) => item.id !== selectedItemId);
+    setItems(remaining);
+    setSelectedItemId(remaining[Math.min(index, remaining.length - 1)]?.id || null);
+  };
+
+  // Field of view of the photo's lens (from EXIF) as seen through the preview box
+  const photoFov = useMemo(
+    () =>
+      exifTags && photoLayout
+        ? fovFromExif(exifTags, photoLayout.imageWidth, photoLayout.imageHeight)
+        : null,
+    [exifTags, photoLayout]
+  );
+  const lensFov = useMemo(
+    () =>
+      photoFov && photoLayout
+        ? getVisibleFov({ photoFov: photoFov.vertical, ...photoLayout, backgroundZoom })
+        : null,
+    [photoFov, photoLayout, backgroundZoom]
   );
+  // A perspective match solves its own focal length; otherwise trust the lens
+  const cameraFov = calibrationResult ? cameraSettings.fov : lensFov ?? cameraSettings.fov;
+
+  const getItemLabel = (item) => getModelOption(item.modelPath)?.label || item.modelPath;
 
   // Fetch the list of models
   useEffect(() => {
@@ -93,19 +350,67 @@ function App() {
         return response.json();
       })
       .then((data) => {
-        if (!data.models || !Array.isArray(data.models) || data.models.length === 0) {
-          throw new Error('Invalid or empty model list in models.json');
-        }
-        setModelOptions(data.models);
-        setSelectedModel(data.models[0]?.value || null);
+        const { models, finishes, errors } = parseCatalog(data);
+        errors.forEach((message) => console.warn(`models.json: ${message}`));
+        setCatalogErrors(errors);
+        setModelOptions(models);
+        setFinishLibrary(finishes);
+        const item = createItem(models[0].value, itemDefaultsFromCatalog(models[0]));
+        resetDesign({ ...INITIAL_DESIGN, items: [item] });
+        setSelectedItemId(item.id);
       })
       .catch((error) => {
         console.error('Error loading models.json:', error.message);
-        alert(`Failed to load the model list: ${error.message}. Using a default model.`);
-        setModelOptions([{ value: '/default-model.gltf', label: 'Default Model' }]);
-        setSelectedModel('/default-model.gltf');
+        setCatalogErrors([`Failed to load the model list: ${error.message} Using a default model.`]);
+        setModelOptions([
+          { id: 'default', value: '/default-model.gltf', label: 'Default Model', category: 'default' },
+        ]);
+        const item = createItem('/default-model.gltf');
+        resetDesign({ ...INITIAL_DESIGN, items: [item] });
+        setSelectedItemId(item.id);
       });
-  }, []);
+  }, [resetDesign]);
+
+  // Fetch the models a user is likely to pick next while they look around:
+  // favorites first, then others in the selected model's category
+  const selectedModelPath = selectedItem?.modelPath;
+  useEffect(() => {
+    const category = modelOptions.find((option) => option.value === selectedModelPath)?.category;
+    const likely = [
+      ...modelOptions.filter((option) => favoriteModels.includes(option.id)),
+      ...modelOptions.filter((option) => option.category === category),
+    ]
+      .map((option) => option.value)
+      .filter((modelPath) => modelPath !== selectedModelPath && !isParametricModel(modelPath));
+    preloadModels([...new Set(likely)]);
+  }, [modelOptions, favoriteModels, selectedModelPath]);
+
+  // Undo/redo can remove the selected structure; fall back to the last one
+  useEffect(() => {
+    if (selectedItemId && !items.some((item) => item.id === selectedItemId)) {
+      setSelectedItemId(items[items.length - 1]?.id || null);
+    }
+  }, [items, selectedItemId]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes) while editing
+  useEffect(() => {
+    if (step !== 'preview') return undefined;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Leave form fields their own undo
+      if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [step, undo, redo]);
 
   // Start the camera
   const startCamera = async () => {
@@ -153,6 +458,9 @@ function App() {
     ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
     const photoData = canvas.toDataURL('image/png');
     setPhoto(photoData);
+    resetMask();
+    startNewProject();
+    setExifTags(null);
     setStep('preview');
 
     if (streamRef.current) {
@@ -160,48 +468,330 @@ function App() {
     }
   };
 
-  // Handle file upload with EXIF orientation
-  const handleFileUpload = (event) => {
+  // Handle file upload: bake the EXIF orientation into the pixels before preview
+  const handleFileUpload = async (event) => {
     const file = event.target.files[0];
-    if (file) {
-      const photoData = URL.createObjectURL(file);
-      setPhoto(photoData);
+    if (!file) return;
+
+    const tags = await readExif(file);
+    let upright = file;
+    try {
+      upright = await normalizeOrientation(file, tags.Orientation);
+    } catch (error) {
+      console.error('Error normalizing photo orientation:', error);
+    }
+    setPhoto(URL.createObjectURL(upright));
+    resetMask();
+    startNewProject();
+    setExifTags(tags);
+    setStep('preview');
+  };
+
+  // Flatten the photo, the rendered model and the foreground mask into one
+  // canvas. Returns null while the photo is not ready.
+  const composeCurrentDesign = ({ highResolution = true, scale = 1 } = {}) => {
+    const canvas = canvasRef.current;
+    const container = imageContainerRef.current;
+    const image = container?.querySelector('img');
+    if (!canvas || !container || !image || !image.complete || !image.naturalWidth) {
+      return null;
+    }
+
+    // Re-render the scene offscreen at the export resolution so the model is as
+    // sharp as the photo; fall back to the on-screen canvas if that fails.
+    const renderOverlay =
+      highResolution && threeRef.current
+        ? (width, height, view) => {
+            try {
+              return renderSceneOffscreen({ ...threeRef.current, width, height, view });
+            } catch (error) {
+              console.error('Offscreen render failed, using the preview canvas:', error);
+              return cropPreviewCanvas(canvas, view);
+            }
+          }
+        : undefined;
+
+    return composeDesign({
+      image,
+      glCanvas: canvas,
+      foreground: renderForeground(maskRef.current, image),
+      renderOverlay,
+      width: container.clientWidth,
+      height: container.clientHeight,
+      zoom,
+      backgroundZoom,
+      pan,
+      scale,
+    });
+  };
+
+  // Export the design: flatten the photo and the rendered model into one image
+  const exportDesign = () => {
+    const output = composeCurrentDesign({ scale: exportScale });
+    if (!output) {
+      alert('The photo is still loading. Please try again in a moment.');
+      return;
+    }
+    downloadCanvas(output, 'patio-cover-design.png');
+  };
+
+  // Saved designs
+  const refreshProjects = () =>
+    listProjects()
+      .then(setProjects)
+      .catch((error) => console.error('Error loading saved designs:', error));
+
+  const startNewProject = () => {
+    setCurrentProjectId(null);
+    setProjectName('');
+    setProjectStatus(null);
+  };
+
+  const saveDesign = async () => {
+    if (!photo) return;
+    setProjectStatus('Saving…');
+    try {
+      const photoBlob = await fetch(photo).then((response) => response.blob());
+      const mask = maskRef.current ? await maskToBlob(maskRef.current) : null;
+      const preview = composeCurrentDesign({ highResolution: false });
+      const thumbnail = preview ? await createThumbnail(preview) : null;
+      const name = projectName.trim() || `Design ${new Date().toLocaleDateString()}`;
+
+      const project = await saveProject({
+        id: currentProjectId,
+        name,
+        photo: photoBlob,
+        mask,
+        thumbnail,
+        exifTags,
+        scene: { items, selectedItemId, referenceScale },
+        customModels: usedCustomModels(customModels, items),
+        view: { zoom, backgroundZoom, pan },
+        camera: { settings: cameraSettings, calibration, calibrationResult, cameraHeight, edgeLength },
+      });
+      setCurrentProjectId(project.id);
+      setProjectName(project.name);
+      setProjectStatus(`Saved at ${new Date(project.updatedAt).toLocaleTimeString()}`);
+      refreshProjects();
+    } catch (error) {
+      console.error('Error saving design:', error);
+      setProjectStatus(`Could not save: ${error.message}`);
+    }
+  };
+
+  const openDesign = async (id) => {
+    try {
+      const project = await getProject(id);
+      if (!project) throw new Error('This design no longer exists.');
+
+      const packages = project.customModels || [];
+      addCustomModelOptions(await Promise.all(packages.map(registerCustomModel)));
+      setCustomModels((current) => [
+        ...current,
+        ...packages.filter((pkg) => !current.some((entry) => entry.id === pkg.id)),
+      ]);
+      maskRef.current = project.mask ? await maskFromBlob(project.mask) : null;
+      setMaskVersion((version) => version + 1);
+      setPhoto(URL.createObjectURL(project.photo));
+      setExifTags(project.exifTags || null);
+      resetDesign({
+        items: project.scene.items,
+        zoom: project.view.zoom,
+        backgroundZoom: project.view.backgroundZoom,
+        pan: project.view.pan,
+        referenceScale: project.scene.referenceScale ?? null,
+      });
+      setSelectedItemId(project.scene.selectedItemId);
+      setCameraSettings(project.camera.settings);
+      setCalibration(project.camera.calibration);
+      setCalibrationResult(project.camera.calibrationResult);
+      setCameraHeight(project.camera.cameraHeight);
+      setEdgeLength(project.camera.edgeLength);
+      closeOverlays();
+      setCurrentProjectId(project.id);
+      setProjectName(project.name);
+      setProjectStatus(null);
       setStep('preview');
+    } catch (error) {
+      console.error('Error opening design:', error);
+      alert(`Could not open the design: ${error.message}`);
+    }
+  };
 
-      EXIF.getData(file, function () {
-        const orientation = EXIF.getTag(this, 'Orientation');
-        let rotation = 0;
-        switch (orientation) {
-          case 3:
-            rotation = 180;
-            break;
-          case 6:
-            rotation = 90;
-            break;
-          case 8:
-            rotation = -90;
-            break;
-          default:
-            rotation = 0;
-            break;
-        }
-        setImageRotation(rotation);
+  const renameDesign = (id, name) => {
+    renameProject(id, name)
+      .then(() => {
+        if (id === currentProjectId) setProjectName(name);
+        return refreshProjects();
+      })
+      .catch((error) => alert(`Could not rename the design: ${error.message}`));
+  };
+
+  const duplicateDesign = (id) => {
+    duplicateProject(id)
+      .then(refreshProjects)
+      .catch((error) => alert(`Could not duplicate the design: ${error.message}`));
+  };
+
+  const deleteDesign = (project) => {
+    if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+    deleteProject(project.id)
+      .then(() => {
+        if (project.id === currentProjectId) startNewProject();
+        return refreshProjects();
+      })
+      .catch((error) => alert(`Could not delete the design: ${error.message}`));
+  };
+
+  const openDesignList = () => {
+    closeOverlays();
+    refreshProjects();
+    setStep('designs');
+  };
+
+  // Only one tool at a time draws over the photo
+  const closeOverlays = () => {
+    setIsCalibrating(false);
+    setIsMeasuringReference(false);
+    setIsTracingWall(false);
+    setIsEditingMask(false);
+  };
+
+  // A new photo starts with an empty occlusion mask
+  const resetMask = () => {
+    maskRef.current = null;
+    setMaskVersion((version) => version + 1);
+  };
+
+  const clearOcclusionMask = () => {
+    if (!maskRef.current) return;
+    clearMask(maskRef.current);
+    setMaskVersion((version) => version + 1);
+  };
+
+  // Perspective matching: trace a ground rectangle, then solve the camera
+  const startCalibration = () => {
+    const container = imageContainerRef.current;
+    if (!container) return;
+    closeOverlays();
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    setCalibration((current) =>
+      current && current.width === width && current.height === height
+        ? current
+        : { width, height, corners: createDefaultRectangle(width, height) }
+    );
+    setCalibrationError(null);
+    setIsCalibrating(true);
+  };
+
+  const applyCalibration = () => {
+    try {
+      const result = solveCameraFromRectangle({
+        corners: calibration.corners,
+        width: calibration.width,
+        height: calibration.height,
+        fallbackFov: cameraFov,
+        cameraHeight,
+        edgeLength: fromDisplayLength(parseFloat(edgeLength), unitSystem),
       });
+      setCameraSettings({
+        fov: result.fov,
+        position: result.position,
+        quaternion: result.quaternion,
+      });
+      setCalibrationResult(result);
+      setCalibrationError(null);
+      setIsCalibrating(false);
+      // A reference measured with the old camera no longer applies
+      if (referenceScale) updateDesign({ referenceScale: null });
+    } catch (error) {
+      setCalibrationError(error.message);
     }
   };
 
-  // Export the design
-  const exportDesign = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const link = document.createElement('a');
-    link.download = 'patio-cover-design.png';
-    link.href = canvas.toDataURL('image/png', 1.0);
-    link.click();
+  const resetCamera = () => {
+    setCameraSettings(DEFAULT_CAMERA);
+    setCalibrationResult(null);
+    if (referenceScale) updateDesign({ referenceScale: null });
+  };
+
+  // Reference scale: measure an object of known length at the selected
+  // structure's depth and scale the scene's models to match
+  const startReferenceMeasure = () => {
+    const container = imageContainerRef.current;
+    if (!container) return;
+    closeOverlays();
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    setReferenceLine((current) =>
+      current && current.width === width && current.height === height
+        ? current
+        : { width, height, line: createDefaultReferenceLine(width, height) }
+    );
+    setReferenceError(null);
+    setIsMeasuringReference(true);
+  };
+
+  const applyReferenceScale = () => {
+    const camera = threeRef.current?.camera;
+    if (!camera || !referenceLine) return;
+    try {
+      const result = solveReferenceScale({
+        camera,
+        line: referenceLine.line,
+        width: referenceLine.width,
+        height: referenceLine.height,
+        depthPoint: selectedItem ? selectedItem.position : [0, 0, 0],
+        knownLength: fromDisplayLength(parseFloat(referenceLength), unitSystem),
+      });
+      updateDesign({ referenceScale: result });
+      setReferenceError(null);
+      setIsMeasuringReference(false);
+    } catch (error) {
+      setReferenceError(error.message);
+    }
+  };
+
+  // Wall mounting: trace the foot of the house wall, then hang the selected
+  // cover's back edge on it
+  const startWallTrace = () => {
+    const container = imageContainerRef.current;
+    if (!container) return;
+    closeOverlays();
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    setWallLine((current) =>
+      current && current.width === width && current.height === height
+        ? current
+        : { width, height, line: createDefaultWallLine(width, height) }
+    );
+    setWallError(null);
+    setIsTracingWall(true);
+  };
+
+  const applyWallLine = () => {
+    const camera = threeRef.current?.camera;
+    if (!camera || !wallLine || !selectedItem) return;
+    try {
+      const wall = solveWallLine({
+        camera,
+        line: wallLine.line,
+        width: wallLine.width,
+        height: wallLine.height,
+      });
+      const item = { ...selectedItem, wall, dimensions: getItemDimensions(selectedItem) };
+      updateSelectedItem({ wall, ...wallPlacement(item, sceneScale) }, { coalesce: false });
+      setWallError(null);
+      setIsTracingWall(false);
+    } catch (error) {
+      setWallError(error.message);
+    }
   };
 
   // Handle panning
   const handleMouseDown = (e) => {
+    if (isTransformingRef.current) return;
     if (zoom <= 1 && backgroundZoom <= 1) return;
     setIsDragging(true);
     setDragStart({ x: e.clientX - pan.x, y: e.clientY - pan.y });
@@ -227,7 +817,7 @@ function App() {
       const boundedPanX = Math.max(-maxPanX, Math.min(maxPanX, newPanX));
       const boundedPanY = Math.max(-maxPanY, Math.min(maxPanY, newPanY));
 
-      setPan({ x: boundedPanX, y: boundedPanY });
+      updateDesign({ pan: { x: boundedPanX, y: boundedPanY } }, 'pan');
     }
   };
 
@@ -238,6 +828,7 @@ function App() {
 
 
   const handleTouchStart = (e) => {
+  if (isTransformingRef.current) return;
   if (zoom <= 1 && backgroundZoom <= 1) return;
   setIsDragging(true);
   const touch = e.touches[0];
@@ -266,7 +857,7 @@ const handleTouchMove = (e) => {
     const boundedPanX = Math.max(-maxPanX, Math.min(maxPanX, newPanX));
     const boundedPanY = Math.max(-maxPanY, Math.min(maxPanY, newPanY));
 
-    setPan({ x: boundedPanX, y: boundedPanY });
+    updateDesign({ pan: { x: boundedPanX, y: boundedPanY } }, 'pan');
   }
 };
 
@@ -292,8 +883,68 @@ const handleTouchEnd = () => {
     <div className="app">
       <h1>Patio Cover Visualizer</h1>
       <p className="privacy-notice">
-        📸 Your photo stays on your device and is not stored.
+        📸 Your photo and any models you import stay on your device. Saved designs are stored only
+        in this browser.
       </p>
+      {catalogErrors.length > 0 && (
+        <div className="catalog-errors" role="alert">
+          <p>Some catalog entries could not be loaded:</p>
+          <ul>
+            {catalogErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+          <button onClick={() => setCatalogErrors([])} aria-label="Dismiss catalog problems">
+            Dismiss
+          </button>
+        </div>
+      )}
+      {Object.keys(modelErrors).length > 0 && (
+        <div className="catalog-errors model-errors" role="alert">
+          <p>Some models could not be loaded and are shown as gray boxes:</p>
+          <ul>
+            {Object.entries(modelErrors).map(([modelPath, error]) => (
+              <li key={modelPath}>
+                {getModelOption(modelPath)?.label || modelPath}{' '}
+                {LOAD_ERROR_MESSAGES[error.kind] || LOAD_ERROR_MESSAGES.network}
+                <button onClick={() => retryModel(modelPath)}>Retry</button>
+                <button onClick={() => dismissModelError(modelPath)}>Dismiss</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {step !== 'designs' && (
+        <div className="app-nav">
+          <button onClick={openDesignList} aria-label="Show my saved designs">
+            My Designs
+          </button>
+        </div>
+      )}
+
+      {step === 'designs' && (
+        <div className="designs-section">
+          <h2>My Designs</h2>
+          <div className="app-nav">
+            <button onClick={() => setStep('capture')} aria-label="Start a new design">
+              New Design
+            </button>
+            {photo && (
+              <button onClick={() => setStep('preview')} aria-label="Back to the current design">
+                Back to Current Design
+              </button>
+            )}
+          </div>
+          <ProjectList
+            projects={projects}
+            currentProjectId={currentProjectId}
+            onOpen={openDesign}
+            onRename={renameDesign}
+            onDuplicate={duplicateDesign}
+            onDelete={deleteDesign}
+          />
+        </div>
+      )}
 
       {step === 'capture' && (
         <div className="capture-section">
@@ -318,7 +969,14 @@ const handleTouchEnd = () => {
       )}
 
       {step === 'preview' && (
-        <div className="preview-section">
+        <div
+          className={isDroppingModel ? 'preview-section dropping-model' : 'preview-section'}
+          onDragOver={handleModelDragOver}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setIsDroppingModel(false);
+          }}
+          onDrop={handleModelDrop}
+        >
           <h2>Step 2: Place the Patio Cover</h2>
           <div className="scene-container" ref={imageContainerRef}>
               <div
@@ -341,29 +999,128 @@ const handleTouchEnd = () => {
                 src={photo}
                 alt="House"
                 className="background-photo"
+                onLoad={(e) => {
+                  const container = imageContainerRef.current;
+                  if (!container) return;
+                  setPhotoLayout({
+                    imageWidth: e.currentTarget.naturalWidth,
+                    imageHeight: e.currentTarget.naturalHeight,
+                    viewWidth: container.clientWidth,
+                    viewHeight: container.clientHeight,
+                  });
+                }}
                 style={{
-                  transform: `scale(${backgroundZoom}) rotate(${imageRotation}deg)`,
+                  transform: `scale(${backgroundZoom})`,
                   transformOrigin: 'center center',
                 }}
               />
               <div className="canvas-overlay">
                 <Canvas
                   camera={{ position: [0, 0, 10], fov: 50 }}
-                  onCreated={({ gl }) => {
+                  gl={{ preserveDrawingBuffer: true }}
+                  onCreated={({ gl, scene, camera }) => {
                     canvasRef.current = gl.domElement;
+                    threeRef.current = { gl, scene, camera };
+                    detectTextureSupport(gl);
                   }}
                 >
                   <ambientLight intensity={0.5} />
                   <directionalLight position={[10, 10, 5]} intensity={1} />
-                  {selectedModel && <PatioCover {...patioProps} />}
-                  <OrbitControls enableRotate={false} enableZoom={false} enablePan={false} />
+                  {items.map((item) => (
+                    <PatioCover
+                      key={item.id}
+                      modelPath={item.modelPath}
+                      position={item.position}
+                      rotationX={item.rotationX}
+                      rotationY={item.rotationY}
+                      dimensions={item.dimensions}
+                      parameters={item.parameters}
+                      modelUnit={getModelOption(item.modelPath)?.modelUnit}
+                      slots={getModelOption(item.modelPath)?.slots}
+                      finishes={item.finishes}
+                      finishLibrary={finishLibrary}
+                      sceneScale={sceneScale}
+                      label={getModelOption(item.modelPath)?.label}
+                      reloadKey={reloadKeys[item.modelPath] || 0}
+                      selected={item.id === selectedItemId}
+                      gizmoMode={gizmoMode}
+                      onSelect={() => setSelectedItemId(item.id)}
+                      onNativeSize={handleNativeSize}
+                      onLoadError={handleModelLoadError}
+                      onTransform={(object) => handleGizmoTransform(item.id, object)}
+                      onTransformStart={() => {
+                        isTransformingRef.current = true;
+                      }}
+                      onTransformEnd={() => {
+                        isTransformingRef.current = false;
+                      }}
+                    />
+                  ))}
+                  <CameraRig {...cameraSettings} fov={cameraFov} />
                 </Canvas>
               </div>
+              <OcclusionMask
+                photo={photo}
+                maskRef={maskRef}
+                maskVersion={maskVersion}
+                backgroundZoom={backgroundZoom}
+                editing={isEditingMask}
+                tool={maskTool}
+                brushSize={brushSize}
+                onChange={() => setMaskVersion((version) => version + 1)}
+              />
+              {isCalibrating && calibration && (
+                <PerspectiveCalibration
+                  width={calibration.width}
+                  height={calibration.height}
+                  corners={calibration.corners}
+                  onChange={(corners) => setCalibration({ ...calibration, corners })}
+                />
+              )}
+              {isMeasuringReference && referenceLine && (
+                <ReferenceLine
+                  width={referenceLine.width}
+                  height={referenceLine.height}
+                  line={referenceLine.line}
+                  onChange={(line) => setReferenceLine({ ...referenceLine, line })}
+                />
+              )}
+              {isTracingWall && wallLine && (
+                <ReferenceLine
+                  width={wallLine.width}
+                  height={wallLine.height}
+                  line={wallLine.line}
+                  label="wall line"
+                  onChange={(line) => setWallLine({ ...wallLine, line })}
+                />
+              )}
             </div>
           </div>
           {/* Scrollable controls container */}
           <div className="scrollable-controls">
             <div className="controls">
+              <div className="history-actions">
+                <button onClick={undo} disabled={!canUndo} aria-label="Undo (Ctrl+Z)">
+                  Undo
+                </button>
+                <button onClick={redo} disabled={!canRedo} aria-label="Redo (Ctrl+Shift+Z)">
+                  Redo
+                </button>
+              </div>
+              <label>
+                Units:
+                <select
+                  value={unitSystem}
+                  onChange={(e) => changeUnitSystem(e.target.value)}
+                  aria-label="Select measurement units"
+                >
+                  {Object.entries(UNIT_SYSTEMS).map(([system, { name }]) => (
+                    <option key={system} value={system}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </label>
               <h3>Adjust Photo View</h3>
               <label>
                 Zoom (Image + Model):
@@ -375,8 +1132,10 @@ const handleTouchEnd = () => {
                     step="0.1"
                     value={zoom}
                     onChange={(e) => {
-                      setZoom(parseFloat(e.target.value));
-                      setPan({ x: 0, y: 0 });
+                      updateDesign(
+                        { zoom: parseFloat(e.target.value), pan: { x: 0, y: 0 } },
+                        'zoom'
+                      );
                     }}
                     className="custom-slider"
                     aria-label="Adjust zoom for image and model"
@@ -390,8 +1149,7 @@ const handleTouchEnd = () => {
                     onChange={(e) => {
                       const value = parseFloat(e.target.value);
                       if (!isNaN(value) && value >= 1 && value <= 3) {
-                        setZoom(value);
-                        setPan({ x: 0, y: 0 });
+                        updateDesign({ zoom: value, pan: { x: 0, y: 0 } }, 'zoom');
                       }
                     }}
                     className="number-input"
@@ -410,8 +1168,10 @@ const handleTouchEnd = () => {
                     step="0.1"
                     value={backgroundZoom}
                     onChange={(e) => {
-                      setBackgroundZoom(parseFloat(e.target.value));
-                      setPan({ x: 0, y: 0 });
+                      updateDesign(
+                        { backgroundZoom: parseFloat(e.target.value), pan: { x: 0, y: 0 } },
+                        'backgroundZoom'
+                      );
                     }}
                     className="custom-slider"
                     aria-label="Adjust zoom for background image"
@@ -425,8 +1185,10 @@ const handleTouchEnd = () => {
                     onChange={(e) => {
                       const value = parseFloat(e.target.value);
                       if (!isNaN(value) && value >= 1 && value <= 3) {
-                        setBackgroundZoom(value);
-                        setPan({ x: 0, y: 0 });
+                        updateDesign(
+                          { backgroundZoom: value, pan: { x: 0, y: 0 } },
+                          'backgroundZoom'
+                        );
                       }
                     }}
                     className="number-input"
@@ -435,234 +1197,520 @@ const handleTouchEnd = () => {
                   />
                 </div>
               </label>
-              <h3>Adjust Patio Cover</h3>
-              <label>
-                Select Model:
-                <select
-                  value={selectedModel || ''}
-                  onChange={(e) => setSelectedModel(e.target.value)}
-                  aria-label="Select a patio cover model"
-                >
-                  {modelOptions.map((option) => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
-                    </option>
-                  ))}
-                </select>
-              </label>
-              <label>
-                X Position:
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="-10"
-                    max="10"
-                    step="0.1"
-                    value={patioPosition[0]}
-                    onChange={(e) =>
-                      setPatioPosition([
-                        parseFloat(e.target.value),
-                        patioPosition[1],
-                        patioPosition[2],
-                      ])
-                    }
-                    className="custom-slider"
-                    aria-label="Adjust X position of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="-10"
-                    max="10"
-                    step="0.1"
-                    value={patioPosition[0]}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= -10 && value <= 10) {
-                        setPatioPosition([value, patioPosition[1], patioPosition[2]]);
-                      }
-                    }}
-                    className="number-input"
-                    aria-label="Enter X position of the patio cover"
-                    inputMode="decimal"
-                  />
+              <h3>Camera Perspective</h3>
+              {isCalibrating ? (
+                <div className="calibration-panel">
+                  <p className="calibration-hint">
+                    Drag the four corners onto a rectangle lying on the ground, such as a patio
+                    slab or deck. The dashed guides should follow parallel lines in the photo.
+                  </p>
+                  <label>
+                    Camera Height ({UNIT_SYSTEMS[unitSystem].label}):
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.1"
+                      value={Math.round(toDisplayLength(cameraHeight, unitSystem) * 100) / 100}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        if (!isNaN(value) && value > 0) {
+                          setCameraHeight(fromDisplayLength(value, unitSystem));
+                        }
+                      }}
+                      className="number-input"
+                      aria-label="Enter the height of the camera above the ground"
+                      inputMode="decimal"
+                    />
+                  </label>
+                  <label>
+                    Back Edge Length ({UNIT_SYSTEMS[unitSystem].label}, optional, overrides camera
+                    height):
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={edgeLength}
+                      onChange={(e) => setEdgeLength(e.target.value)}
+                      className="number-input"
+                      aria-label="Enter the real length of the highlighted back edge"
+                      inputMode="decimal"
+                    />
+                  </label>
+                  {calibrationError && (
+                    <p className="calibration-error" role="alert">
+                      {calibrationError}
+                    </p>
+                  )}
+                  <div className="calibration-actions">
+                    <button onClick={applyCalibration} aria-label="Apply perspective match">
+                      Apply
+                    </button>
+                    <button
+                      onClick={() => setIsCalibrating(false)}
+                      aria-label="Cancel perspective match"
+                    >
+                      Cancel
+                    </button>
+                  </div>
                 </div>
-              </label>
-              <label>
-                Y Position:
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="-10"
-                    max="10"
-                    step="0.1"
-                    value={patioPosition[1]}
-                    onChange={(e) =>
-                      setPatioPosition([
-                        patioPosition[0],
-                        parseFloat(e.target.value),
-                        patioPosition[2],
-                      ])
-                    }
-                    className="custom-slider"
-                    aria-label="Adjust Y position of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="-10"
-                    max="10"
-                    step="0.1"
-                    value={patioPosition[1]}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= -10 && value <= 10) {
-                        setPatioPosition([patioPosition[0], value, patioPosition[2]]);
-                      }
-                    }}
-                    className="number-input"
-                    aria-label="Enter Y position of the patio cover"
-                    inputMode="decimal"
-                  />
+              ) : (
+                <div className="calibration-panel">
+                  <p className="calibration-summary">
+                    {photoFov
+                      ? `Lens from photo: ${photoFov.horizontal.toFixed(1)}° × ${photoFov.vertical.toFixed(1)}° field of view`
+                      : `No lens data in this photo; using a ${DEFAULT_CAMERA.fov}° field of view`}
+                  </p>
+                  {calibrationResult && (
+                    <p className="calibration-summary">
+                      Pitch {calibrationResult.pitch.toFixed(1)}°, roll{' '}
+                      {calibrationResult.roll.toFixed(1)}°, height{' '}
+                      {formatLength(calibrationResult.height, unitSystem, 2)}, field of view{' '}
+                      {calibrationResult.fov.toFixed(1)}°
+                    </p>
+                  )}
+                  <div className="calibration-actions">
+                    <button onClick={startCalibration} aria-label="Match the camera to the photo">
+                      Match Perspective
+                    </button>
+                    <button onClick={resetCamera} aria-label="Reset the camera">
+                      Reset Camera
+                    </button>
+                  </div>
                 </div>
-              </label>
-              <label>
-                Z Position (Depth):
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="-5"
-                    max="5"
-                    step="0.1"
-                    value={patioPosition[2]}
-                    onChange={(e) =>
-                      setPatioPosition([
-                        patioPosition[0],
-                        patioPosition[1],
-                        parseFloat(e.target.value),
-                      ])
-                    }
-                    className="custom-slider"
-                    aria-label="Adjust Z position of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="-5"
-                    max="5"
-                    step="0.1"
-                    value={patioPosition[2]}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= -5 && value <= 5) {
-                        setPatioPosition([patioPosition[0], patioPosition[1], value]);
-                      }
-                    }}
-                    className="number-input"
-                    aria-label="Enter Z position of the patio cover"
-                    inputMode="decimal"
-                  />
+              )}
+              <h3>Reference Scale</h3>
+              {isMeasuringReference ? (
+                <div className="calibration-panel">
+                  <p className="calibration-hint">
+                    Drag the line ends onto an object of known length, such as a door or a fence
+                    panel, standing about as far away as the
+                    {selectedItem ? ' selected structure' : ' middle of the scene'}.
+                  </p>
+                  <label>
+                    Real Length ({UNIT_SYSTEMS[unitSystem].label}):
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={referenceLength}
+                      onChange={(e) => setReferenceLength(e.target.value)}
+                      className="number-input"
+                      aria-label="Enter the real length of the reference object"
+                      inputMode="decimal"
+                    />
+                  </label>
+                  {referenceError && (
+                    <p className="calibration-error" role="alert">
+                      {referenceError}
+                    </p>
+                  )}
+                  <div className="calibration-actions">
+                    <button onClick={applyReferenceScale} aria-label="Apply reference scale">
+                      Apply
+                    </button>
+                    <button
+                      onClick={() => setIsMeasuringReference(false)}
+                      aria-label="Cancel reference measurement"
+                    >
+                      Cancel
+                    </button>
+                  </div>
                 </div>
-              </label>
-              <label>
-                Rotate X:
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="0"
-                    max="6.28"
-                    step="0.1"
-                    value={rotationX}
-                    onChange={(e) => setRotationX(parseFloat(e.target.value))}
-                    className="custom-slider"
-                    aria-label="Adjust X rotation of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="0"
-                    max="6.28"
-                    step="0.1"
-                    value={rotationX}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= 0 && value <= 6.28) {
-                        setRotationX(value);
-                      }
-                    }}
-                    className="number-input"
-                    aria-label="Enter X rotation of the patio cover"
-                    inputMode="decimal"
-                  />
+              ) : (
+                <div className="calibration-panel">
+                  <p className="calibration-summary">
+                    {referenceScale
+                      ? `${formatLength(referenceScale.knownLength, unitSystem, 2)} reference: ${Math.round(
+                          referenceScale.pixelsPerMeter / UNIT_SYSTEMS[unitSystem].perMeter
+                        )} px per ${UNIT_SYSTEMS[unitSystem].label} at that depth, models scaled ${sceneScale.toFixed(2)}×`
+                      : 'Measure a known object in the photo to size the models to it.'}
+                  </p>
+                  <div className="calibration-actions">
+                    <button
+                      onClick={startReferenceMeasure}
+                      aria-label="Measure a reference object in the photo"
+                    >
+                      Measure Reference
+                    </button>
+                    <button
+                      onClick={() => updateDesign({ referenceScale: null })}
+                      disabled={!referenceScale}
+                      aria-label="Reset the reference scale"
+                    >
+                      Reset Scale
+                    </button>
+                  </div>
                 </div>
+              )}
+              <h3>Foreground Mask</h3>
+              <p className="calibration-hint">
+                Paint over trees, railings or anything else that should appear in front of the
+                patio cover.
+              </p>
+              <div className="mask-tools" role="group" aria-label="Mask painting tools">
+                <button
+                  className={isEditingMask ? 'active' : ''}
+                  aria-pressed={isEditingMask}
+                  onClick={() => {
+                    closeOverlays();
+                    setIsEditingMask(!isEditingMask);
+                  }}
+                >
+                  {isEditingMask ? 'Done Masking' : 'Edit Mask'}
+                </button>
+                {isEditingMask &&
+                  [
+                    ['brush', 'Brush'],
+                    ['eraser', 'Eraser'],
+                    ['lasso', 'Lasso'],
+                  ].map(([tool, label]) => (
+                    <button
+                      key={tool}
+                      className={maskTool === tool ? 'active' : ''}
+                      aria-pressed={maskTool === tool}
+                      onClick={() => setMaskTool(tool)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                <button onClick={clearOcclusionMask} aria-label="Clear the foreground mask">
+                  Clear Mask
+                </button>
+              </div>
+              {isEditingMask && maskTool !== 'lasso' && (
+                <label>
+                  Brush Size:
+                  <div className="slider-container">
+                    <input
+                      type="range"
+                      min="4"
+                      max="80"
+                      step="1"
+                      value={brushSize}
+                      onChange={(e) => setBrushSize(parseFloat(e.target.value))}
+                      className="custom-slider"
+                      aria-label="Adjust mask brush size"
+                    />
+                    <input
+                      type="number"
+                      min="4"
+                      max="80"
+                      step="1"
+                      value={brushSize}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        if (!isNaN(value) && value >= 4 && value <= 80) {
+                          setBrushSize(value);
+                        }
+                      }}
+                      className="number-input"
+                      aria-label="Enter mask brush size"
+                      inputMode="decimal"
+                    />
+                  </div>
+                </label>
+              )}
+              <h3>Structures</h3>
+              <ItemList
+                items={items}
+                selectedItemId={selectedItemId}
+                getLabel={getItemLabel}
+                onSelect={setSelectedItemId}
+                onAdd={addItem}
+                onDuplicate={duplicateSelectedItem}
+                onDelete={deleteSelectedItem}
+              />
+              <label className="model-import">
+                Import a model (.glb, .gltf, .obj, .fbx, .stl with their files, or .zip)
+                <input
+                  type="file"
+                  accept=".glb,.gltf,.bin,.obj,.mtl,.fbx,.stl,.zip,image/*"
+                  multiple
+                  onChange={(e) => {
+                    importModels(Array.from(e.target.files));
+                    e.target.value = '';
+                  }}
+                />
               </label>
-              <label>
-                Rotate Y:
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="0"
-                    max="6.28"
-                    step="0.1"
-                    value={rotationY}
-                    onChange={(e) => setRotationY(parseFloat(e.target.value))}
-                    className="custom-slider"
-                    aria-label="Adjust Y rotation of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="0"
-                    max="6.28"
-                    step="0.1"
-                    value={rotationY}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= 0 && value <= 6.28) {
-                        setRotationY(value);
-                      }
+              <div className="import-settings">
+                <label>
+                  Model units:
+                  <select
+                    value={importSettings.unit}
+                    onChange={(e) => setImportSettings((current) => ({ ...current, unit: e.target.value }))}
+                    aria-label="Units of imported OBJ, FBX and STL models"
+                  >
+                    {IMPORT_UNITS.map((unit) => (
+                      <option key={unit} value={unit}>
+                        {unit === 'auto' ? 'Detect' : unit}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Up axis:
+                  <select
+                    value={importSettings.upAxis}
+                    onChange={(e) => setImportSettings((current) => ({ ...current, upAxis: e.target.value }))}
+                    aria-label="Up axis of imported OBJ, FBX and STL models"
+                  >
+                    {IMPORT_UP_AXES.map((axis) => (
+                      <option key={axis} value={axis}>
+                        {axis === 'auto' ? 'Detect' : axis.toUpperCase()}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <p className="calibration-hint">
+                Or drop the files onto the photo. Imported models never leave this device. Units
+                and up axis apply to .obj, .fbx and .stl files; by default STL is read as
+                millimeters with Z up.
+              </p>
+              {selectedItem && (
+                <>
+                  <h3>Adjust Selected Structure</h3>
+                  <div className="gizmo-modes" role="group" aria-label="On-canvas handle mode">
+                    {[
+                      ['translate', 'Move'],
+                      ['rotate', 'Rotate'],
+                      ['scale', 'Scale'],
+                    ].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        className={gizmoMode === mode ? 'active' : ''}
+                        aria-pressed={gizmoMode === mode}
+                        onClick={() => setGizmoMode(mode)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    <button
+                      className={gizmoMode === null ? 'active' : ''}
+                      aria-pressed={gizmoMode === null}
+                      onClick={() => setGizmoMode(null)}
+                    >
+                      Hide Handles
+                    </button>
+                  </div>
+                  <ModelGallery
+                    models={modelOptions}
+                    selectedModel={selectedItem.modelPath}
+                    favorites={favoriteModels}
+                    onSelect={(modelPath) => {
+                      if (modelPath !== selectedItem.modelPath) changeSelectedModel(modelPath);
                     }}
-                    className="number-input"
-                    aria-label="Enter Y rotation of the patio cover"
-                    inputMode="decimal"
+                    onToggleFavorite={toggleFavoriteModel}
                   />
-                </div>
-              </label>
+                  {getModelOption(selectedItem.modelPath)?.description && (
+                    <p className="calibration-hint">
+                      {getModelOption(selectedItem.modelPath).description}
+                    </p>
+                  )}
+                  {getModelOption(selectedItem.modelPath)?.priceBasis && (
+                    <p className="calibration-summary">
+                      From {formatPriceBasis(getModelOption(selectedItem.modelPath).priceBasis)}
+                    </p>
+                  )}
+                  {['X Position', 'Y Position', 'Z Position (Depth)'].map((label, axis) => (
+                    <LengthControl
+                      key={label}
+                      label={label}
+                      value={selectedItem.position[axis]}
+                      min={POSITION_LIMITS[axis][0]}
+                      max={POSITION_LIMITS[axis][1]}
+                      unitSystem={unitSystem}
+                      ariaLabel={`${label.split(' ')[0]} position of the patio cover`}
+                      onChange={(value) => {
+                        const position = selectedItem.position.slice();
+                        position[axis] = value;
+                        updateSelectedItem({ position });
+                      }}
+                    />
+                  ))}
+                  <label>
+                    Rotate X:
+                    <div className="slider-container">
+                      <input
+                        type="range"
+                        min="0"
+                        max="6.28"
+                        step="0.1"
+                        value={selectedItem.rotationX}
+                        onChange={(e) => updateSelectedItem({ rotationX: parseFloat(e.target.value) })}
+                        className="custom-slider"
+                        aria-label="Adjust X rotation of the patio cover"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="6.28"
+                        step="0.1"
+                        value={selectedItem.rotationX}
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          if (!isNaN(value) && value >= 0 && value <= 6.28) {
+                            updateSelectedItem({ rotationX: value });
+                          }
+                        }}
+                        className="number-input"
+                        aria-label="Enter X rotation of the patio cover"
+                        inputMode="decimal"
+                      />
+                    </div>
+                  </label>
+                  <label>
+                    Rotate Y:
+                    <div className="slider-container">
+                      <input
+                        type="range"
+                        min="0"
+                        max="6.28"
+                        step="0.1"
+                        value={selectedItem.rotationY}
+                        onChange={(e) => updateSelectedItem({ rotationY: parseFloat(e.target.value) })}
+                        className="custom-slider"
+                        aria-label="Adjust Y rotation of the patio cover"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="6.28"
+                        step="0.1"
+                        value={selectedItem.rotationY}
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          if (!isNaN(value) && value >= 0 && value <= 6.28) {
+                            updateSelectedItem({ rotationY: value });
+                          }
+                        }}
+                        className="number-input"
+                        aria-label="Enter Y rotation of the patio cover"
+                        inputMode="decimal"
+                      />
+                    </div>
+                  </label>
+                  {getItemDimensions(selectedItem) ? (
+                    [
+                      ['width', 'Width'],
+                      ['depth', 'Depth'],
+                      ['height', 'Height'],
+                    ].map(([axis, label]) => (
+                      <LengthControl
+                        key={axis}
+                        label={label}
+                        value={getItemDimensions(selectedItem)[axis]}
+                        min={DIMENSION_LIMITS[0]}
+                        max={DIMENSION_LIMITS[1]}
+                        unitSystem={unitSystem}
+                        ariaLabel={`${axis} of the patio cover`}
+                        onChange={(value) => updateSelectedDimension(axis, value)}
+                      />
+                    ))
+                  ) : (
+                    <p className="calibration-hint">Measuring the model…</p>
+                  )}
+                  {isParametricModel(selectedItem.modelPath) && selectedItem.parameters && (
+                    <CoverParameters
+                      parameters={selectedItem.parameters}
+                      unitSystem={unitSystem}
+                      onChange={updateSelectedParameter}
+                    />
+                  )}
+                  {getModelOption(selectedItem.modelPath)?.slots && (
+                    <>
+                      <h3>Finishes</h3>
+                      <FinishPicker
+                        slots={getModelOption(selectedItem.modelPath).slots}
+                        library={finishLibrary}
+                        selection={selectedItem.finishes}
+                        onChange={updateSelectedFinish}
+                      />
+                    </>
+                  )}
+                  {isParametricModel(selectedItem.modelPath) &&
+                    selectedItem.parameters?.mounting === 'attached' &&
+                    (isTracingWall ? (
+                      <div className="calibration-panel">
+                        <p className="calibration-hint">
+                          Drag the line ends along the bottom of the house wall, where it meets the
+                          ground. The cover's back edge will be hung on this line.
+                        </p>
+                        {wallError && (
+                          <p className="calibration-error" role="alert">
+                            {wallError}
+                          </p>
+                        )}
+                        <div className="calibration-actions">
+                          <button onClick={applyWallLine} aria-label="Attach the cover to this wall">
+                            Attach
+                          </button>
+                          <button
+                            onClick={() => setIsTracingWall(false)}
+                            aria-label="Cancel tracing the wall"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="calibration-panel">
+                        <p className="calibration-hint">
+                          {calibrationResult
+                            ? selectedItem.wall
+                              ? 'The back edge is attached to the traced wall.'
+                              : 'Trace the house wall to attach the back edge to it.'
+                            : 'Match the camera perspective first so the wall can be located on the ground.'}
+                        </p>
+                        <div className="calibration-actions">
+                          <button
+                            onClick={startWallTrace}
+                            disabled={!calibrationResult}
+                            aria-label="Trace the house wall in the photo"
+                          >
+                            {selectedItem.wall ? 'Retrace Wall' : 'Trace Wall'}
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  <button
+                    onClick={() => updateSelectedItem({ position: [0, 0, 0] }, { coalesce: false })}
+                    aria-label="Reset patio cover position"
+                  >
+                    Reset Position
+                  </button>
+                </>
+              )}
               <label>
-                Scale:
-                <div className="slider-container">
-                  <input
-                    type="range"
-                    min="0.5"
-                    max="2"
-                    step="0.1"
-                    value={scale}
-                    onChange={(e) => setScale(parseFloat(e.target.value))}
-                    className="custom-slider"
-                    aria-label="Adjust scale of the patio cover"
-                  />
-                  <input
-                    type="number"
-                    min="0.5"
-                    max="2"
-                    step="0.1"
-                    value={scale}
-                    onChange={(e) => {
-                      const value = parseFloat(e.target.value);
-                      if (!isNaN(value) && value >= 0.5 && value <= 2) {
-                        setScale(value);
-                      }
-                    }}
-                    className="number-input"
-                    aria-label="Enter scale of the patio cover"
-                    inputMode="decimal"
-                  />
-                </div>
+                Export Resolution:
+                <select
+                  value={exportScale}
+                  onChange={(e) => setExportScale(parseFloat(e.target.value))}
+                  aria-label="Select export resolution"
+                >
+                  <option value={1}>Photo size (1x)</option>
+                  <option value={2}>2x</option>
+                  <option value={4}>4x</option>
+                </select>
               </label>
-              <button
-                onClick={() => setPatioPosition([0, 0, 0])}
-                aria-label="Reset patio cover position"
-              >
-                Reset Position
-              </button>
               <button onClick={exportDesign} aria-label="Export patio cover design as image">
                 Export Design
               </button>
+              <h3>Save Design</h3>
+              <label>
+                Design Name:
+                <input
+                  type="text"
+                  value={projectName}
+                  onChange={(e) => setProjectName(e.target.value)}
+                  placeholder="e.g. Smith residence, back patio"
+                  aria-label="Enter a name for this design"
+                />
+              </label>
+              <button onClick={saveDesign} aria-label="Save this design on this device">
+                {currentProjectId ? 'Save Changes' : 'Save Design'}
+              </button>
+              {projectStatus && <p className="project-status">{projectStatus}</p>}
             </div>
           </div>
         </div>
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+
+// Applies camera settings (field of view, position, orientation) to the r3f
+// default camera whenever they change.
+function CameraRig({ fov, position, quaternion }) {
+  const camera = useThree((state) => state.camera);
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    camera.fov = fov;
+    camera.position.set(...position);
+    camera.quaternion.set(...quaternion);
+    camera.updateProjectionMatrix();
+    camera.updateMatrixWorld();
+    invalidate();
+  }, [camera, invalidate, fov, position, quaternion]);
+
+  return null;
+}
+
+export default CameraRig;
@@ -0,0 +1,122 @@
+import React from 'react';
+import LengthControl from './LengthControl';
+import {
+  COVER_MOUNTINGS,
+  COVER_PARAMETER_LIMITS,
+  COVER_STYLES,
+  DEFAULT_COVER_PARAMETERS,
+} from '../utils/parametricCover';
+
+// Construction options of a generated patio cover
+function CoverParameters({ parameters, unitSystem, onChange }) {
+  // Designs saved before an option existed get its default
+  const { postCount, overhang, pitch, style, mounting } = {
+    ...DEFAULT_COVER_PARAMETERS,
+    ...parameters,
+  };
+  const [minPosts, maxPosts] = COVER_PARAMETER_LIMITS.postCount;
+  const [minPitch, maxPitch] = COVER_PARAMETER_LIMITS.pitch;
+
+  const handleNumber = (key, min, max, parse) => (e) => {
+    const value = parse(e.target.value);
+    if (!isNaN(value) && value >= min && value <= max) {
+      onChange(key, value);
+    }
+  };
+
+  return (
+    <>
+      <label>
+        Mounting:
+        <select
+          value={mounting}
+          onChange={(e) => onChange('mounting', e.target.value)}
+          aria-label="Select whether the patio cover is attached to a wall"
+        >
+          {Object.entries(COVER_MOUNTINGS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Roof Style:
+        <select
+          value={style}
+          onChange={(e) => onChange('style', e.target.value)}
+          aria-label="Select the roof style of the patio cover"
+        >
+          {Object.entries(COVER_STYLES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Posts per Side:
+        <div className="slider-container">
+          <input
+            type="range"
+            min={minPosts}
+            max={maxPosts}
+            step="1"
+            value={postCount}
+            onChange={handleNumber('postCount', minPosts, maxPosts, parseInt)}
+            className="custom-slider"
+            aria-label="Adjust the number of posts per side"
+          />
+          <input
+            type="number"
+            min={minPosts}
+            max={maxPosts}
+            step="1"
+            value={postCount}
+            onChange={handleNumber('postCount', minPosts, maxPosts, parseInt)}
+            className="number-input"
+            aria-label="Enter the number of posts per side"
+            inputMode="numeric"
+          />
+        </div>
+      </label>
+      <LengthControl
+        label="Overhang"
+        value={overhang}
+        min={COVER_PARAMETER_LIMITS.overhang[0]}
+        max={COVER_PARAMETER_LIMITS.overhang[1]}
+        unitSystem={unitSystem}
+        ariaLabel="roof overhang of the patio cover"
+        onChange={(value) => onChange('overhang', value)}
+      />
+      <label>
+        Roof Pitch (°):
+        <div className="slider-container">
+          <input
+            type="range"
+            min={minPitch}
+            max={maxPitch}
+            step="0.5"
+            value={pitch}
+            onChange={handleNumber('pitch', minPitch, maxPitch, parseFloat)}
+            className="custom-slider"
+            aria-label="Adjust the roof pitch in degrees"
+          />
+          <input
+            type="number"
+            min={minPitch}
+            max={maxPitch}
+            step="0.5"
+            value={pitch}
+            onChange={handleNumber('pitch', minPitch, maxPitch, parseFloat)}
+            className="number-input"
+            aria-label="Enter the roof pitch in degrees"
+            inputMode="decimal"
+          />
+        </div>
+      </label>
+    </>
+  );
+}
+
+export default CoverParameters;
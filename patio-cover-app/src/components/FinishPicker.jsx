@@ -0,0 +1,35 @@
+import React from 'react';
+import { swatchStyle } from '../utils/finishes';
+
+// Swatch rows for each material slot of the selected model. `slots` and
+// `library` come from models.json; `selection` maps slot names to finish ids.
+function FinishPicker({ slots, library, selection = {}, onChange }) {
+  return Object.entries(slots).map(([name, slot]) => {
+    const current = selection[name] ?? slot.default;
+    const label = slot.label || name;
+    return (
+      <div key={name} className="finish-slot">
+        <span className="finish-slot-label">
+          {label}: {library[current]?.label || 'Original'}
+        </span>
+        <div className="finish-swatches" role="group" aria-label={`${label} finish`}>
+          {(slot.finishes || Object.keys(library))
+            .filter((id) => library[id])
+            .map((id) => (
+              <button
+                key={id}
+                className={`finish-swatch${id === current ? ' active' : ''}`}
+                style={swatchStyle(library[id])}
+                title={library[id].label}
+                aria-label={`${library[id].label} ${label.toLowerCase()}`}
+                aria-pressed={id === current}
+                onClick={() => onChange(name, id)}
+              />
+            ))}
+        </div>
+      </div>
+    );
+  });
+}
+
+export default FinishPicker;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+function ItemList({ items, selectedItemId, getLabel, onSelect, onAdd, onDuplicate, onDelete }) {
+  return (
+    <div className="item-list">
+      <ul role="listbox" aria-label="Placed structures">
+        {items.map((item, index) => (
+          <li
+            key={item.id}
+            role="option"
+            aria-selected={item.id === selectedItemId}
+            className={item.id === selectedItemId ? 'item-list-entry selected' : 'item-list-entry'}
+            onClick={() => onSelect(item.id)}
+          >
+            {index + 1}. {getLabel(item)}
+          </li>
+        ))}
+        {items.length === 0 && <li className="item-list-empty">No structures placed yet.</li>}
+      </ul>
+      <div className="item-list-actions">
+        <button onClick={onAdd} aria-label="Add a new structure">
+          Add
+        </button>
+        <button
+          onClick={onDuplicate}
+          disabled={!selectedItemId}
+          aria-label="Duplicate the selected structure"
+        >
+          Duplicate
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={!selectedItemId}
+          aria-label="Delete the selected structure"
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ItemList;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { UNIT_SYSTEMS, fromDisplayLength, toDisplayLength } from '../utils/units';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Slider + number input for a length stored in meters, shown in the current
+// unit system. `min`/`max` are in meters.
+function LengthControl({ label, value, min, max, unitSystem, onChange, ariaLabel }) {
+  const unit = UNIT_SYSTEMS[unitSystem].label;
+  const displayMin = round(toDisplayLength(min, unitSystem));
+  const displayMax = round(toDisplayLength(max, unitSystem));
+  const displayValue = round(toDisplayLength(value, unitSystem));
+
+  const handleValue = (displayed) => {
+    if (!isNaN(displayed) && displayed >= displayMin && displayed <= displayMax) {
+      onChange(fromDisplayLength(displayed, unitSystem));
+    }
+  };
+
+  return (
+    <label>
+      {label} ({unit}):
+      <div className="slider-container">
+        <input
+          type="range"
+          min={displayMin}
+          max={displayMax}
+          step="0.1"
+          value={displayValue}
+          onChange={(e) => handleValue(parseFloat(e.target.value))}
+          className="custom-slider"
+          aria-label={`Adjust ${ariaLabel}`}
+        />
+        <input
+          type="number"
+          min={displayMin}
+          max={displayMax}
+          step="0.1"
+          value={displayValue}
+          onChange={(e) => handleValue(parseFloat(e.target.value))}
+          className="number-input"
+          aria-label={`Enter ${ariaLabel} in ${unit}`}
+          inputMode="decimal"
+        />
+      </div>
+    </label>
+  );
+}
+
+export default LengthControl;
@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { MODEL_CATEGORIES, matchesSearch } from '../utils/catalog';
+import { getModelThumbnail } from '../utils/modelThumbnails';
+
+function ModelThumbnail({ option }) {
+  const [source, setSource] = useState(option.thumbnail || null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getModelThumbnail(option)
+      .then((url) => !cancelled && setSource(url))
+      .catch((error) => {
+        console.error(`Error rendering a thumbnail for ${option.value}:`, error);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [option]);
+
+  if (source) return <img className="gallery-thumbnail" src={source} alt="" />;
+  return (
+    <span className="gallery-thumbnail gallery-thumbnail-empty">
+      {failed ? 'No preview' : 'Rendering…'}
+    </span>
+  );
+}
+
+// Browsable catalog: category filters, search and favorites
+function ModelGallery({ models, selectedModel, favorites, onSelect, onToggleFavorite }) {
+  const [query, setQuery] = useState('');
+  const [filter, setFilter] = useState('all');
+
+  // Known categories first, then any others the catalog uses
+  const categories = useMemo(() => {
+    const extra = models
+      .map((option) => option.category)
+      .filter((category, index, all) => !MODEL_CATEGORIES[category] && all.indexOf(category) === index);
+    return [...Object.keys(MODEL_CATEGORIES), ...extra];
+  }, [models]);
+
+  const visible = models.filter(
+    (option) =>
+      (filter === 'all' ||
+        (filter === 'favorites' ? favorites.includes(option.id) : option.category === filter)) &&
+      matchesSearch(option, query)
+  );
+
+  const filters = [
+    ['all', 'All'],
+    ['favorites', '★ Favorites'],
+    ...categories.map((category) => [category, MODEL_CATEGORIES[category] || category]),
+  ];
+
+  return (
+    <div className="model-gallery">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search models"
+        aria-label="Search the model catalog"
+      />
+      <div className="gallery-filters" role="group" aria-label="Model categories">
+        {filters.map(([value, label]) => (
+          <button
+            key={value}
+            className={filter === value ? 'active' : ''}
+            aria-pressed={filter === value}
+            onClick={() => setFilter(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <ul className="gallery-grid" role="listbox" aria-label="Model catalog">
+        {visible.map((option) => {
+          const selected = option.value === selectedModel;
+          const favorite = favorites.includes(option.id);
+          return (
+            <li
+              key={option.id}
+              role="option"
+              aria-selected={selected}
+              className={selected ? 'gallery-card selected' : 'gallery-card'}
+              onClick={() => onSelect(option.value)}
+              title={option.description}
+            >
+              <ModelThumbnail option={option} />
+              <span className="gallery-label">{option.label}</span>
+              <button
+                className={favorite ? 'favorite-toggle active' : 'favorite-toggle'}
+                aria-pressed={favorite}
+                aria-label={favorite ? `Remove ${option.label} from favorites` : `Add ${option.label} to favorites`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleFavorite(option.id);
+                }}
+              >
+                {favorite ? '★' : '☆'}
+              </button>
+            </li>
+          );
+        })}
+        {visible.length === 0 && (
+          <li className="item-list-empty">
+            {filter === 'favorites' && !query
+              ? 'Star a model to find it here.'
+              : filter === 'imported' && !query
+                ? 'Drop a model file or a .zip onto the photo to import a model.'
+                : 'No models match.'}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+export default ModelGallery;
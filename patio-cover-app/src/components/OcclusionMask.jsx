@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createMask, drawForeground, fillPolygon, paintStroke } from '../utils/occlusionMask';
+
+const LASSO_COLOR = '#ffc107';
+
+// Foreground layer drawn above the WebGL canvas: the parts of the photo marked
+// in the occlusion mask. In editing mode it also takes pointer input for the
+// brush, eraser and polygon lasso tools.
+function OcclusionMask({ photo, maskRef, maskVersion, backgroundZoom, editing, tool, brushSize, onChange }) {
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null);
+  const strokeRef = useRef(null);
+  const frameRef = useRef(null);
+  const [imageReady, setImageReady] = useState(false);
+  const [lassoPoints, setLassoPoints] = useState([]);
+
+  // Decode the photo and make sure the mask matches its size
+  useEffect(() => {
+    setImageReady(false);
+    if (!photo) return;
+    const image = new Image();
+    image.onload = () => {
+      imageRef.current = image;
+      const mask = maskRef.current;
+      if (!mask || mask.width !== image.naturalWidth || mask.height !== image.naturalHeight) {
+        maskRef.current = createMask(image.naturalWidth, image.naturalHeight);
+      }
+      setImageReady(true);
+    };
+    image.src = photo;
+  }, [photo, maskRef]);
+
+  // Redraw the layer, at most once per animation frame
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const image = imageRef.current;
+    const mask = maskRef.current;
+    if (!imageReady || !canvas || !image || !mask) return;
+
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(() => {
+      if (canvas.width !== mask.width || canvas.height !== mask.height) {
+        canvas.width = mask.width;
+        canvas.height = mask.height;
+      }
+      drawForeground(canvas, mask, image, { tint: editing });
+
+      if (lassoPoints.length > 1) {
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.strokeStyle = LASSO_COLOR;
+        ctx.lineWidth = Math.max(2, mask.width / 400);
+        ctx.beginPath();
+        lassoPoints.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        ctx.restore();
+      }
+    });
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [imageReady, maskRef, maskVersion, editing, lassoPoints]);
+
+  // Map a pointer position to photo pixels through object-fit: cover and the
+  // CSS transforms (which getBoundingClientRect already includes)
+  const toPhotoPoint = (e) => {
+    const mask = maskRef.current;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const cover = Math.max(rect.width / mask.width, rect.height / mask.height);
+    return {
+      x: (e.clientX - rect.left - (rect.width - mask.width * cover) / 2) / cover,
+      y: (e.clientY - rect.top - (rect.height - mask.height * cover) / 2) / cover,
+      cover,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!editing || !maskRef.current) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toPhotoPoint(e);
+    if (tool === 'lasso') {
+      setLassoPoints([point]);
+      return;
+    }
+    strokeRef.current = point;
+    paintStroke(maskRef.current, point, point, brushSize / point.cover, tool === 'eraser');
+    onChange();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!editing || !maskRef.current) return;
+    const point = toPhotoPoint(e);
+    if (tool === 'lasso') {
+      if (lassoPoints.length === 0) return;
+      const last = lassoPoints[lassoPoints.length - 1];
+      // Skip points closer than a few screen pixels to keep the polygon small
+      if (Math.hypot(point.x - last.x, point.y - last.y) * point.cover < 4) return;
+      setLassoPoints([...lassoPoints, point]);
+      return;
+    }
+    if (!strokeRef.current) return;
+    paintStroke(maskRef.current, strokeRef.current, point, brushSize / point.cover, tool === 'eraser');
+    strokeRef.current = point;
+    onChange();
+  };
+
+  const handlePointerUp = () => {
+    if (tool === 'lasso' && lassoPoints.length > 0) {
+      fillPolygon(maskRef.current, lassoPoints);
+      setLassoPoints([]);
+      onChange();
+    }
+    strokeRef.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={editing ? 'foreground-layer editing' : 'foreground-layer'}
+      style={{
+        transform: `scale(${backgroundZoom})`,
+        transformOrigin: 'center center',
+      }}
+      aria-label="Foreground mask"
+      // Keep the image wrapper from panning while painting
+      onMouseDown={(e) => editing && e.stopPropagation()}
+      onTouchStart={(e) => editing && e.stopPropagation()}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    />
+  );
+}
+
+export default OcclusionMask;
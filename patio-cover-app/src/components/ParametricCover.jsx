@@ -0,0 +1,49 @@
+import React, { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { COVER_PART_MATERIALS, buildCoverParts } from '../utils/parametricCover';
+import { createFinishMaterial } from '../utils/finishes';
+
+// Live-generated patio cover; `dimensions` and `parameters` are in meters.
+// Its parts are the mesh names `slotFinishes` (see utils/finishes) refer to.
+function ParametricCover({ dimensions, parameters, slotFinishes = [] }) {
+  const parts = useMemo(() => buildCoverParts(dimensions, parameters), [dimensions, parameters]);
+
+  // One shared material per part keeps rebuilds cheap while sliders move
+  const materials = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(COVER_PART_MATERIALS).map(([part, options]) => {
+          const material = new THREE.MeshStandardMaterial(options);
+          const finish = slotFinishes.find(({ nodes }) => nodes.includes(part))?.finish;
+          if (!finish) return [part, material];
+          const finished = createFinishMaterial(material, finish);
+          material.dispose();
+          return [part, finished];
+        })
+      ),
+    [slotFinishes]
+  );
+
+  useEffect(
+    () => () => Object.values(materials).forEach((material) => material.dispose()),
+    [materials]
+  );
+
+  return (
+    <group>
+      {parts.map(({ part, position, rotation, size }, index) => (
+        <mesh
+          key={`${part}-${index}`}
+          name={part}
+          position={position}
+          rotation={rotation}
+          material={materials[part]}
+        >
+          <boxGeometry args={size} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+export default ParametricCover;
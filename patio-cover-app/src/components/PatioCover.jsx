@@ -0,0 +1,177 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Html, TransformControls } from '@react-three/drei';
+import ParametricCover from './ParametricCover';
+import { isParametricModel } from '../utils/parametricCover';
+import { applySlotFinishes, resolveSlotFinishes } from '../utils/finishes';
+import { acquireModel, releaseModel } from '../utils/assetManager';
+import { metersPerUnit } from '../utils/units';
+
+const PLACEHOLDER_SIZE = { width: 2, height: 0.2, depth: 2 };
+
+function PatioCover({
+  modelPath,
+  position,
+  rotationX,
+  rotationY,
+  dimensions,
+  parameters,
+  modelUnit,
+  slots,
+  finishes,
+  finishLibrary,
+  sceneScale = 1,
+  label,
+  reloadKey = 0,
+  selected,
+  gizmoMode,
+  onSelect,
+  onNativeSize,
+  onLoadError,
+  onTransform,
+  onTransformStart,
+  onTransformEnd,
+}) {
+  const [model, setModel] = useState(null);
+  // { progress: 0..1 or null, bytes } while downloading, { error } on failure
+  const [loadState, setLoadState] = useState(null);
+  const groupRef = useRef(null);
+  const parametric = isParametricModel(modelPath);
+  const slotFinishes = useMemo(
+    () => resolveSlotFinishes(slots, finishes, finishLibrary),
+    [slots, finishes, finishLibrary]
+  );
+
+  useEffect(() => {
+    // Generated covers are built in meters and need no file
+    if (isParametricModel(modelPath)) return undefined;
+
+    let cancelled = false;
+    let shownPercent = -1;
+    setModel(null);
+    setLoadState(null);
+    const request = acquireModel(modelPath, (progress, bytes) => {
+      // Re-render at most once per percent (or per 100 KB when the size is unknown)
+      const percent = progress === null ? Math.floor(bytes / 100000) : Math.floor(progress * 100);
+      if (cancelled || percent === shownPercent) return;
+      shownPercent = percent;
+      setLoadState({ progress, bytes });
+    });
+    request.then(
+      (loaded) => {
+        if (cancelled) return;
+        setModel(loaded);
+        setLoadState(null);
+      },
+      (error) => {
+        console.error('Error loading model:', error);
+        if (cancelled) return;
+        setLoadState({ error });
+        onLoadError?.(modelPath, error);
+      }
+    );
+    return () => {
+      cancelled = true;
+      // Hand the copy back once it has arrived, even if that is after unmount
+      request.then(() => releaseModel(modelPath), () => {});
+    };
+  }, [modelPath, reloadKey, onLoadError]);
+
+  // Real-world size of the loaded model, from the units it was made in
+  const modelSize = useMemo(() => {
+    if (!model) return null;
+    const unit = metersPerUnit(modelUnit) || 1;
+    const { width, height, depth } = model.size;
+    return { width: width * unit, height: height * unit, depth: depth * unit };
+  }, [model, modelUnit]);
+
+  useEffect(() => {
+    if (modelSize) onNativeSize?.(modelPath, modelSize);
+  }, [modelSize, modelPath, onNativeSize]);
+
+  useEffect(() => {
+    if (!model || parametric) return undefined;
+    return applySlotFinishes(model.scene, slotFinishes);
+  }, [model, parametric, slotFinishes]);
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    onSelect?.();
+  };
+
+  // Stretch the model (or placeholder) to the requested real-world size, then
+  // to scene units using the reference-object scale
+  const nativeSize = parametric ? dimensions : model ? model.size : PLACEHOLDER_SIZE;
+  const size = dimensions || modelSize || nativeSize;
+  const scale = [
+    (size.width / nativeSize.width) * sceneScale,
+    (size.height / nativeSize.height) * sceneScale,
+    (size.depth / nativeSize.depth) * sceneScale,
+  ];
+
+  return (
+    <>
+      <group
+        ref={groupRef}
+        position={position}
+        rotation={[rotationX, rotationY, 0]}
+        onClick={handleClick}
+      >
+        <group scale={scale}>
+          {parametric ? (
+            <ParametricCover
+              dimensions={dimensions}
+              parameters={parameters}
+              slotFinishes={slotFinishes}
+            />
+          ) : model ? (
+            <primitive object={model.scene} />
+          ) : (
+            <mesh>
+              <boxGeometry args={[PLACEHOLDER_SIZE.width, PLACEHOLDER_SIZE.height, PLACEHOLDER_SIZE.depth]} />
+              <meshStandardMaterial color="gray" />
+            </mesh>
+          )}
+        </group>
+        {loadState && (
+          <Html center className="model-status">
+            {loadState.error
+              ? `${label || 'Model'} failed to load`
+              : `Loading ${label || 'model'}… ${
+                  loadState.progress === null
+                    ? `${(loadState.bytes / 1e6).toFixed(1)} MB`
+                    : `${Math.round(loadState.progress * 100)}%`
+                }`}
+            {!loadState.error && loadState.progress !== null && (
+              <progress max="1" value={loadState.progress} />
+            )}
+          </Html>
+        )}
+      </group>
+      {selected && gizmoMode && (
+        <TransformControls
+          object={groupRef}
+          mode={gizmoMode}
+          // Rotating only about the local Y axis keeps rotationX/Y in sync with the sliders
+          space={gizmoMode === 'rotate' ? 'local' : 'world'}
+          showX={gizmoMode !== 'rotate'}
+          showZ={gizmoMode !== 'rotate'}
+          onMouseDown={onTransformStart}
+          onMouseUp={() => {
+            // Scaling is relative to the drag start, so it is applied once at
+            // the end and the gizmo's own scale handed back to the dimensions
+            if (gizmoMode === 'scale') {
+              onTransform?.(groupRef.current);
+              groupRef.current.scale.set(1, 1, 1);
+            }
+            onTransformEnd?.();
+          }}
+          onObjectChange={() => {
+            if (gizmoMode !== 'scale') onTransform?.(groupRef.current);
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+export default PatioCover;
@@ -0,0 +1,91 @@
+import React, { useRef, useState } from 'react';
+import { toSvgPoint } from '../utils/svgPoint';
+
+const HANDLE_LABELS = ['Back left', 'Back right', 'Front right', 'Front left'];
+// How far the dashed guides run past each edge, as a multiple of its length
+const GUIDE_EXTENSION = 3;
+
+// SVG overlay for tracing a rectangle on the ground. It sits inside the
+// zoomed/panned image wrapper, so points are stored in unscaled preview-box
+// pixels, the same space the WebGL canvas renders into.
+function PerspectiveCalibration({ width, height, corners, onChange }) {
+  const svgRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const handlePointerDown = (index) => (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setActiveIndex(index);
+  };
+
+  const handlePointerMove = (e) => {
+    if (activeIndex === null) return;
+    const next = corners.slice();
+    next[activeIndex] = toSvgPoint(svgRef.current, e, width, height);
+    onChange(next);
+  };
+
+  const handlePointerUp = () => {
+    setActiveIndex(null);
+  };
+
+  const path = corners.map(({ x, y }) => `${x},${y}`).join(' ');
+
+  return (
+    <svg
+      ref={svgRef}
+      className="calibration-overlay"
+      viewBox={`0 0 ${width} ${height}`}
+      width={width}
+      height={height}
+      // Keep the image wrapper from panning while handles are dragged
+      onMouseDown={(e) => e.stopPropagation()}
+      onTouchStart={(e) => e.stopPropagation()}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <polygon points={path} className="calibration-shape" />
+      {/* Extended edges make it easier to line them up with the photo */}
+      {[
+        [0, 1],
+        [3, 2],
+        [1, 2],
+        [0, 3],
+      ].map(([a, b]) => {
+        const dx = corners[b].x - corners[a].x;
+        const dy = corners[b].y - corners[a].y;
+        return (
+          <line
+            key={`${a}-${b}`}
+            className="calibration-guide"
+            x1={corners[a].x - dx * GUIDE_EXTENSION}
+            y1={corners[a].y - dy * GUIDE_EXTENSION}
+            x2={corners[b].x + dx * GUIDE_EXTENSION}
+            y2={corners[b].y + dy * GUIDE_EXTENSION}
+          />
+        );
+      })}
+      <line
+        className="calibration-edge"
+        x1={corners[0].x}
+        y1={corners[0].y}
+        x2={corners[1].x}
+        y2={corners[1].y}
+      />
+      {corners.map(({ x, y }, index) => (
+        <circle
+          key={HANDLE_LABELS[index]}
+          className="calibration-handle"
+          cx={x}
+          cy={y}
+          r={12}
+          aria-label={`${HANDLE_LABELS[index]} corner`}
+          onPointerDown={handlePointerDown(index)}
+        />
+      ))}
+    </svg>
+  );
+}
+
+export default PerspectiveCalibration;
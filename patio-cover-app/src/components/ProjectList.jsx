@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+
+function ProjectThumbnail({ blob, name }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) return undefined;
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  if (!url) return <div className="project-thumbnail empty" />;
+  return <img className="project-thumbnail" src={url} alt={`Preview of ${name}`} />;
+}
+
+function ProjectList({ projects, currentProjectId, onOpen, onRename, onDuplicate, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (project) => {
+    setEditingId(project.id);
+    setDraftName(project.name);
+  };
+
+  const commitRename = () => {
+    const name = draftName.trim();
+    if (name) onRename(editingId, name);
+    setEditingId(null);
+  };
+
+  if (projects.length === 0) {
+    return <p className="project-list-empty">No saved designs yet.</p>;
+  }
+
+  return (
+    <ul className="project-list">
+      {projects.map((project) => (
+        <li
+          key={project.id}
+          className={project.id === currentProjectId ? 'project-entry current' : 'project-entry'}
+        >
+          <ProjectThumbnail blob={project.thumbnail} name={project.name} />
+          <div className="project-details">
+            {editingId === project.id ? (
+              <input
+                type="text"
+                value={draftName}
+                onChange={(e) => setDraftName(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                aria-label="Design name"
+                autoFocus
+              />
+            ) : (
+              <strong>{project.name}</strong>
+            )}
+            <span className="project-date">
+              Last saved {new Date(project.updatedAt).toLocaleString()}
+            </span>
+            <div className="project-actions">
+              <button onClick={() => onOpen(project.id)} aria-label={`Open ${project.name}`}>
+                Open
+              </button>
+              <button onClick={() => startRename(project)} aria-label={`Rename ${project.name}`}>
+                Rename
+              </button>
+              <button
+                onClick={() => onDuplicate(project.id)}
+                aria-label={`Duplicate ${project.name}`}
+              >
+                Duplicate
+              </button>
+              <button onClick={() => onDelete(project)} aria-label={`Delete ${project.name}`}>
+                Delete
+              </button>
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default ProjectList;
@@ -0,0 +1,66 @@
+import React, { useRef, useState } from 'react';
+import { toSvgPoint } from '../utils/svgPoint';
+
+const HANDLE_LABELS = ['Start', 'End'];
+
+// Two-handle line traced over the photo: a reference object to measure, or
+// the foot of a wall. Like PerspectiveCalibration it lives inside the image
+// wrapper, so points are in unscaled preview-box pixels.
+function ReferenceLine({ width, height, line, label = 'reference line', onChange }) {
+  const svgRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const handlePointerDown = (index) => (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setActiveIndex(index);
+  };
+
+  const handlePointerMove = (e) => {
+    if (activeIndex === null) return;
+    const next = line.slice();
+    next[activeIndex] = toSvgPoint(svgRef.current, e, width, height);
+    onChange(next);
+  };
+
+  const handlePointerUp = () => {
+    setActiveIndex(null);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="calibration-overlay"
+      viewBox={`0 0 ${width} ${height}`}
+      width={width}
+      height={height}
+      // Keep the image wrapper from panning while handles are dragged
+      onMouseDown={(e) => e.stopPropagation()}
+      onTouchStart={(e) => e.stopPropagation()}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <line
+        className="calibration-edge"
+        x1={line[0].x}
+        y1={line[0].y}
+        x2={line[1].x}
+        y2={line[1].y}
+      />
+      {line.map(({ x, y }, index) => (
+        <circle
+          key={HANDLE_LABELS[index]}
+          className="calibration-handle"
+          cx={x}
+          cy={y}
+          r={12}
+          aria-label={`${HANDLE_LABELS[index]} of the ${label}`}
+          onPointerDown={handlePointerDown(index)}
+        />
+      ))}
+    </svg>
+  );
+}
+
+export default ReferenceLine;
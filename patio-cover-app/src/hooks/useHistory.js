@@ -0,0 +1,81 @@
+import { useCallback, useState } from 'react';
+
+const HISTORY_LIMIT = 100;
+// Changes with the same coalesce key this close together become one step,
+// so dragging a slider undoes in one go rather than pixel by pixel
+const COALESCE_WINDOW_MS = 1000;
+
+// Undo/redo state container. `set` takes a value or an updater function plus
+// an optional `coalesceKey`; `reset` replaces the state and clears history.
+function useHistory(initialState) {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialState,
+    future: [],
+    lastKey: null,
+    lastTime: 0,
+  });
+
+  const set = useCallback((update, { coalesceKey = null } = {}) => {
+    setHistory((current) => {
+      const next = typeof update === 'function' ? update(current.present) : update;
+      if (next === current.present) return current;
+
+      const now = Date.now();
+      const coalesce =
+        coalesceKey !== null &&
+        coalesceKey === current.lastKey &&
+        now - current.lastTime < COALESCE_WINDOW_MS;
+
+      return {
+        past: coalesce ? current.past : [...current.past, current.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: coalesceKey,
+        lastTime: now,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((current) => {
+      if (current.past.length === 0) return current;
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future],
+        lastKey: null,
+        lastTime: 0,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((current) => {
+      if (current.future.length === 0) return current;
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1),
+        lastKey: null,
+        lastTime: 0,
+      };
+    });
+  }, []);
+
+  const reset = useCallback((state) => {
+    setHistory({ past: [], present: state, future: [], lastKey: null, lastTime: 0 });
+  }, []);
+
+  return {
+    state: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
+
+export default useHistory;
@@ -0,0 +1,29 @@
+// @vitest-environment jsdom
+import { act, renderHook } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import useHistory from './useHistory';
+import { applyDesignChanges } from '../utils/sceneItems';
+
+const DESIGN = { items: [], zoom: 1, referenceScale: null };
+
+// What calibrating the camera does to the design: a reference measured with
+// the old camera is cleared
+const calibrate = (history) =>
+  act(() => history.current.set((current) => applyDesignChanges(current, { referenceScale: null })));
+
+describe('useHistory', () => {
+  it('records no undo step when calibrating without a reference scale', () => {
+    const { result } = renderHook(() => useHistory(DESIGN));
+    calibrate(result);
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.state).toBe(DESIGN);
+  });
+
+  it('makes clearing a reference scale undoable', () => {
+    const { result } = renderHook(() => useHistory({ ...DESIGN, referenceScale: { scale: 0.8 } }));
+    calibrate(result);
+    expect(result.current.canUndo).toBe(true);
+    act(() => result.current.undo());
+    expect(result.current.state.referenceScale).toEqual({ scale: 0.8 });
+  });
+});
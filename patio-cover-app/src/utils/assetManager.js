@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { clone as cloneObject } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { loadModel } from './modelLoading';
+
+// Parsed models shared by every placement. Each file is downloaded, parsed
+// and seated on the ground (see seatModel) once; placements get their own
+// clone of the scene graph, which shares the geometry, materials and
+// textures of the cached original (finishes are applied to per-mesh copies,
+// see utils/finishes). Models nobody is showing stay cached until more than
+// MAX_IDLE_MODELS pile up, then the least recently used are disposed.
+
+const MAX_IDLE_MODELS = 3;
+
+// url -> { promise, scene, size, users, lastUsed, progress, bytes, listeners }
+const entries = new Map();
+
+let preloadQueue = [];
+let preloading = false;
+
+// Models come with their own origin. Move each so its footprint is centered
+// on the origin and its lowest point rests on y = 0, which makes every model
+// pivot about its middle and stand on the ground at the item's position.
+// Returns the seated scene and its size in the model's own units.
+function seatModel(scene) {
+  // Exact bounds: the quick per-mesh boxes overestimate rotated parts
+  const box = new THREE.Box3().setFromObject(scene, true);
+  const root = new THREE.Group();
+  root.add(scene);
+  if (box.isEmpty()) return { scene: root, size: { width: 1, height: 1, depth: 1 } };
+
+  const center = box.getCenter(new THREE.Vector3());
+  scene.position.sub(new THREE.Vector3(center.x, box.min.y, center.z));
+  const size = box.getSize(new THREE.Vector3());
+  return { scene: root, size: { width: size.x || 1, height: size.y || 1, depth: size.z || 1 } };
+}
+
+// Free the GPU resources of an object tree that is no longer shown anywhere
+export function disposeObject(object) {
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    [child.material].flat().forEach((material) => {
+      Object.values(material).forEach((value) => value?.isTexture && value.dispose());
+      material.dispose();
+    });
+  });
+}
+
+function getEntry(url) {
+  if (entries.has(url)) return entries.get(url);
+
+  const entry = { users: 0, lastUsed: 0, progress: 0, bytes: 0, listeners: new Set() };
+  entry.promise = loadModel(url, (progress, bytes) => {
+    entry.progress = progress;
+    entry.bytes = bytes;
+    entry.listeners.forEach((listener) => listener(progress, bytes));
+  }).then(
+    (model) => {
+      Object.assign(entry, seatModel(model.scene));
+      entry.lastUsed = performance.now();
+      evictIdle();
+      return entry;
+    },
+    (error) => {
+      // Forget failures so a retry downloads the file again
+      entries.delete(url);
+      throw error;
+    }
+  );
+  entries.set(url, entry);
+  return entry;
+}
+
+function evictIdle() {
+  const idle = [...entries.entries()]
+    .filter(([, entry]) => entry.scene && entry.users === 0)
+    .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+  idle.slice(0, Math.max(0, idle.length - MAX_IDLE_MODELS)).forEach(([url, entry]) => {
+    entries.delete(url);
+    disposeObject(entry.scene);
+  });
+}
+
+// A placement's own copy of a model: resolves to { scene, size } with `size`
+// in model units. `onProgress(fraction, bytes)` follows the download when the
+// model is not cached yet. Every successful call needs a matching
+// releaseModel(url) once the copy is no longer shown.
+export async function acquireModel(url, onProgress) {
+  const entry = getEntry(url);
+  entry.users += 1;
+  if (onProgress && !entry.scene) {
+    entry.listeners.add(onProgress);
+    onProgress(entry.progress, entry.bytes);
+  }
+  try {
+    await entry.promise;
+  } catch (error) {
+    entry.users -= 1;
+    throw error;
+  } finally {
+    entry.listeners.delete(onProgress);
+  }
+  return { scene: cloneObject(entry.scene), size: entry.size };
+}
+
+export function releaseModel(url) {
+  const entry = entries.get(url);
+  if (!entry) return;
+  entry.users = Math.max(0, entry.users - 1);
+  entry.lastUsed = performance.now();
+  evictIdle();
+}
+
+function whenIdle(callback) {
+  if (window.requestIdleCallback) {
+    window.requestIdleCallback(callback, { timeout: 2000 });
+  } else {
+    setTimeout(callback, 200);
+  }
+}
+
+function preloadNext() {
+  const url = preloadQueue.shift();
+  if (!url) {
+    preloading = false;
+    return;
+  }
+  preloading = true;
+  whenIdle(() => {
+    getEntry(url)
+      .promise.catch(() => {
+        // Reported by the placement that asks for it, if any
+      })
+      .finally(preloadNext);
+  });
+}
+
+// Download the given models in the background, one at a time and most likely
+// first. Replaces any earlier list that has not started yet.
+export function preloadModels(urls) {
+  preloadQueue = urls.filter((url) => !entries.has(url)).slice(0, MAX_IDLE_MODELS);
+  if (!preloading) preloadNext();
+}
@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+// Camera matching from a rectangle traced on the ground in the photo.
+//
+// The two pairs of opposite edges give two vanishing points. Their directions
+// must be perpendicular in 3D, which fixes the focal length; their cross
+// product is the ground normal, which fixes pitch and roll. The scene is then
+// laid out with the ground at y = 0, the rectangle's center at the origin and
+// its first edge along +X, so models placed at the origin sit on the traced
+// rectangle. All 2D coordinates are CSS pixels inside the preview box.
+
+export const DEFAULT_CAMERA = {
+  fov: 50,
+  position: [0, 0, 10],
+  quaternion: [0, 0, 0, 1],
+};
+
+export const DEFAULT_CAMERA_HEIGHT = 1.6;
+
+// Corner order: back-left, back-right, front-right, front-left
+export function createDefaultRectangle(width, height) {
+  return [
+    { x: width * 0.35, y: height * 0.6 },
+    { x: width * 0.72, y: height * 0.62 },
+    { x: width * 0.88, y: height * 0.9 },
+    { x: width * 0.12, y: height * 0.86 },
+  ];
+}
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+// Homogeneous line through two points, and the intersection of two such lines
+const lineThrough = (p, q) => cross([p.x, p.y, 1], [q.x, q.y, 1]);
+
+function vanishingPoint(a, b, c, d) {
+  const point = cross(lineThrough(a, b), lineThrough(c, d));
+  const length = Math.hypot(...point);
+  return point.map((value) => value / length);
+}
+
+function intersectDiagonals(corners) {
+  const [x, y, w] = cross(lineThrough(corners[0], corners[2]), lineThrough(corners[1], corners[3]));
+  return { x: x / w, y: y / w };
+}
+
+// Focal length (in pixels) of a camera with the given vertical field of view
+export function focalLengthFromFov(fov, viewHeight) {
+  return viewHeight / 2 / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+}
+
+// Solve the camera for a ground rectangle traced in a `width` x `height` view.
+// When `edgeLength` (real length of the back edge) is given the camera height
+// is derived from it; otherwise `cameraHeight` is used as-is.
+export function solveCameraFromRectangle({
+  corners,
+  width,
+  height,
+  fallbackFov = DEFAULT_CAMERA.fov,
+  cameraHeight = DEFAULT_CAMERA_HEIGHT,
+  edgeLength,
+}) {
+  // Work relative to the principal point (assumed to be the view center)
+  const centered = corners.map(({ x, y }) => ({ x: x - width / 2, y: y - height / 2 }));
+  const v1 = vanishingPoint(centered[0], centered[1], centered[3], centered[2]);
+  const v2 = vanishingPoint(centered[1], centered[2], centered[0], centered[3]);
+
+  // With both vanishing points finite, perpendicularity gives the focal
+  // length; if either edge pair is parallel on screen, keep the current lens.
+  let focal = focalLengthFromFov(fallbackFov, height);
+  const w = v1[2] * v2[2];
+  if (Math.abs(w) > 1e-9) {
+    const focalSquared = -(v1[0] * v2[0] + v1[1] * v2[1]) / w;
+    if (!(focalSquared > 0)) {
+      throw new Error(
+        'These edges cannot be a rectangle on flat ground. Check that opposite edges follow parallel lines in the photo.'
+      );
+    }
+    focal = Math.sqrt(focalSquared);
+  }
+
+  // Directions in three.js camera space (x right, y up, looking down -z)
+  const toCamera = (v) => new THREE.Vector3(v[0], -v[1], -focal * v[2]).normalize();
+  const edgeDirection = toCamera(v1);
+  const depthDirection = toCamera(v2);
+  const up = new THREE.Vector3().crossVectors(edgeDirection, depthDirection).normalize();
+  if (up.y < 0) up.negate();
+
+  // World axes expressed in camera space; the first edge defines +X
+  const xAxis = edgeDirection.clone().projectOnPlane(up).normalize();
+  if (xAxis.x < 0) xAxis.negate();
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, up);
+
+  // Rows are the world axes, so this maps camera space to world space
+  const rotation = new THREE.Matrix4().set(
+    xAxis.x, xAxis.y, xAxis.z, 0,
+    up.x, up.y, up.z, 0,
+    zAxis.x, zAxis.y, zAxis.z, 0,
+    0, 0, 0, 1
+  );
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(rotation);
+
+  // Where the ray through an image point meets the ground, for a camera at the
+  // world origin raised to `eyeHeight`
+  const groundPoint = ({ x, y }, eyeHeight) => {
+    const direction = new THREE.Vector3(x, -y, -focal).applyQuaternion(quaternion);
+    if (direction.y >= -1e-6) {
+      throw new Error('The rectangle must be drawn on the ground, below the horizon.');
+    }
+    const distance = eyeHeight / -direction.y;
+    return new THREE.Vector3(0, eyeHeight, 0).addScaledVector(direction, distance);
+  };
+
+  let solvedHeight = cameraHeight;
+  centered.forEach((corner) => groundPoint(corner, 1));
+  if (edgeLength > 0) {
+    const unitEdge = groundPoint(centered[0], 1).distanceTo(groundPoint(centered[1], 1));
+    solvedHeight = edgeLength / unitEdge;
+  }
+
+  const center = groundPoint(intersectDiagonals(centered), solvedHeight);
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+
+  return {
+    fov: THREE.MathUtils.radToDeg(2 * Math.atan(height / 2 / focal)),
+    position: [-center.x, solvedHeight, -center.z],
+    quaternion: quaternion.toArray(),
+    pitch: THREE.MathUtils.radToDeg(euler.x),
+    roll: THREE.MathUtils.radToDeg(euler.z),
+    height: solvedHeight,
+  };
+}
+
+// Vertical field of view of the preview box when it shows a photo with the
+// given vertical FOV, cover-fitted and zoomed by `backgroundZoom`
+export function getVisibleFov({
+  photoFov,
+  imageWidth,
+  imageHeight,
+  viewWidth,
+  viewHeight,
+  backgroundZoom = 1,
+}) {
+  const cover = Math.max(viewWidth / imageWidth, viewHeight / imageHeight);
+  const visibleFraction = viewHeight / (imageHeight * cover * backgroundZoom);
+  const halfFov = THREE.MathUtils.degToRad(photoFov) / 2;
+  return THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfFov) * visibleFraction));
+}
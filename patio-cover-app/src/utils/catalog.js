@@ -0,0 +1,268 @@
+import { isParametricModel } from './parametricCover';
+import { metersPerUnit, parseDimensions } from './units';
+
+// models.json schema. The file holds a shared `finishes` library and a list of
+// `models`:
+//
+//   {
+//     "id": "patio-cover-1",                 unique, letters/digits/dashes
+//     "value": "/models/patio-cover.glb",    model file, or "parametric:..."
+//     "label": "Patio Cover 1",
+//     "category": "patio-cover",
+//     "thumbnail": "/thumbnails/...png",     optional, see `npm run thumbnails`
+//     "description": "...",                  optional
+//     "defaultTransform": { "rotationX": 0, "rotationY": 90 },  degrees, optional
+//     "modelUnit": "cm",                     unit of the model file when it is
+//                                            not in meters, as glTF expects
+//     "dimensions": { "width": 1.72, "depth": 1.44, "height": 2.75, "unit": "m" },
+//     "slots": { "<slot>": { "label", "nodes": [...], "finishes": [...], "default" } },
+//     "priceBasis": { "amount": 42, "per": "sqft", "currency": "USD" },  optional
+//     "tags": ["aluminum", "flat roof"],     optional
+//     "parameters": { ... },                 parametric models only
+//     "bounds": { "min": [x, y, z], "max": [x, y, z] }  model units, written by
+//                                            `npm run thumbnails`
+//   }
+//
+// Malformed entries are left out and reported one message per problem, so a
+// typo in one model does not take the whole catalog down.
+
+// Gallery categories, in display order; entries may also use others
+export const MODEL_CATEGORIES = {
+  'patio-cover': 'Patio covers',
+  gazebo: 'Gazebos',
+  pergola: 'Pergolas',
+  awning: 'Awnings',
+  imported: 'Imported',
+};
+
+const FAVORITES_STORAGE_KEY = 'patio-cover-favorite-models';
+
+export const PRICE_BASES = {
+  each: 'each',
+  sqft: 'per sq ft',
+  sqm: 'per m²',
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+
+function validateFinish(finish, problems) {
+  if (!finish || typeof finish !== 'object') {
+    problems.push('must be an object');
+    return;
+  }
+  if (!isString(finish.label)) problems.push('"label" must be a non-empty string');
+  if (finish.color !== undefined && !COLOR_PATTERN.test(finish.color)) {
+    problems.push('"color" must be a hex color like "#a1b2c3"');
+  }
+  if (finish.color === undefined && !isString(finish.map)) {
+    problems.push('needs a "color" or a texture "map"');
+  }
+  ['map', 'normalMap', 'roughnessMap'].forEach((key) => {
+    if (finish[key] !== undefined && !isString(finish[key])) {
+      problems.push(`"${key}" must be a texture URL`);
+    }
+  });
+  ['roughness', 'metalness', 'opacity'].forEach((key) => {
+    const value = finish[key];
+    if (value !== undefined && !(isNumber(value) && value >= 0 && value <= 1)) {
+      problems.push(`"${key}" must be a number from 0 to 1`);
+    }
+  });
+  if (
+    finish.repeat !== undefined &&
+    !(Array.isArray(finish.repeat) && finish.repeat.length === 2 && finish.repeat.every((n) => n > 0))
+  ) {
+    problems.push('"repeat" must be two positive numbers');
+  }
+}
+
+function validateSlots(slots, finishes, problems) {
+  if (!slots || typeof slots !== 'object' || Array.isArray(slots)) {
+    problems.push('"slots" must be an object of named material slots');
+    return;
+  }
+  Object.entries(slots).forEach(([name, slot]) => {
+    const where = `slot "${name}"`;
+    if (!slot || typeof slot !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (!isStringList(slot.nodes) || slot.nodes.length === 0) {
+      problems.push(`${where} needs a "nodes" list of mesh or node names`);
+    }
+    if (!isStringList(slot.finishes) || slot.finishes.length === 0) {
+      problems.push(`${where} needs a "finishes" list`);
+    } else {
+      slot.finishes
+        .filter((id) => !finishes[id])
+        .forEach((id) => problems.push(`${where} refers to unknown finish "${id}"`));
+      if (slot.default !== undefined && !slot.finishes.includes(slot.default)) {
+        problems.push(`${where} default "${slot.default}" is not one of its finishes`);
+      }
+    }
+  });
+}
+
+function validateModel(entry, finishes, problems) {
+  if (!ID_PATTERN.test(entry.id ?? '')) {
+    problems.push('"id" must be lowercase letters, digits and dashes');
+  }
+  if (!isString(entry.value)) problems.push('"value" must be the model file path');
+  if (!isString(entry.label)) problems.push('"label" must be a non-empty string');
+  if (!isString(entry.category)) problems.push('"category" must be a non-empty string');
+  ['thumbnail', 'description'].forEach((key) => {
+    if (entry[key] !== undefined && !isString(entry[key])) {
+      problems.push(`"${key}" must be a non-empty string`);
+    }
+  });
+
+  if (!parseDimensions(entry.dimensions)) {
+    problems.push('"dimensions" needs positive width, depth and height and a known unit');
+  }
+
+  const transform = entry.defaultTransform;
+  if (transform !== undefined) {
+    if (!transform || typeof transform !== 'object') {
+      problems.push('"defaultTransform" must be an object');
+    } else {
+      ['rotationX', 'rotationY'].forEach((key) => {
+        if (transform[key] !== undefined && !isNumber(transform[key])) {
+          problems.push(`"defaultTransform.${key}" must be a number of degrees`);
+        }
+      });
+    }
+  }
+
+  if (entry.modelUnit !== undefined && !metersPerUnit(entry.modelUnit)) {
+    problems.push('"modelUnit" must be a length unit such as "m", "cm", "mm", "in" or "ft"');
+  }
+
+  if (entry.slots !== undefined) validateSlots(entry.slots, finishes, problems);
+
+  const price = entry.priceBasis;
+  if (price !== undefined) {
+    if (!price || !isNumber(price.amount) || price.amount < 0) {
+      problems.push('"priceBasis.amount" must be a non-negative number');
+    }
+    if (!PRICE_BASES[price?.per]) {
+      problems.push(`"priceBasis.per" must be one of ${Object.keys(PRICE_BASES).join(', ')}`);
+    }
+    if (!/^[A-Z]{3}$/.test(price?.currency ?? '')) {
+      problems.push('"priceBasis.currency" must be a currency code like "USD"');
+    }
+  }
+
+  const isPoint = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+  if (entry.bounds !== undefined && !(isPoint(entry.bounds?.min) && isPoint(entry.bounds?.max))) {
+    problems.push('"bounds" needs "min" and "max" points of three numbers');
+  }
+
+  if (entry.tags !== undefined && !isStringList(entry.tags)) {
+    problems.push('"tags" must be a list of strings');
+  }
+
+  if (entry.parameters !== undefined) {
+    if (!isParametricModel(entry.value)) {
+      problems.push('"parameters" only apply to parametric models');
+    } else if (typeof entry.parameters !== 'object') {
+      problems.push('"parameters" must be an object');
+    }
+  }
+}
+
+// Validate the parsed models.json. Throws when there is nothing usable;
+// otherwise returns the valid models and finishes plus a message for every
+// problem found.
+export function parseCatalog(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.models)) {
+    throw new Error('models.json must contain a "models" list.');
+  }
+
+  const errors = [];
+  const finishes = {};
+  Object.entries(data.finishes || {}).forEach(([id, finish]) => {
+    const problems = [];
+    validateFinish(finish, problems);
+    if (problems.length) {
+      problems.forEach((problem) => errors.push(`Finish "${id}": ${problem}.`));
+    } else {
+      finishes[id] = finish;
+    }
+  });
+
+  const seenIds = new Set();
+  const models = data.models.filter((entry, index) => {
+    const name = entry && isString(entry.label) ? `${index + 1} ("${entry.label}")` : index + 1;
+    const problems = [];
+    if (!entry || typeof entry !== 'object') {
+      problems.push('must be an object');
+    } else {
+      validateModel(entry, finishes, problems);
+      if (seenIds.has(entry.id)) problems.push(`duplicate id "${entry.id}"`);
+    }
+    if (problems.length) {
+      problems.forEach((problem) => errors.push(`Model ${name}: ${problem}.`));
+      return false;
+    }
+    seenIds.add(entry.id);
+    return true;
+  });
+
+  if (models.length === 0) {
+    throw new Error(['models.json has no valid models.', ...errors].join(' '));
+  }
+  return { models, finishes, errors };
+}
+
+// Item rotation (radians) from a catalog entry's default transform
+export function defaultRotation(entry) {
+  const toRadians = (degrees = 0) => (degrees * Math.PI) / 180;
+  return {
+    rotationX: toRadians(entry?.defaultTransform?.rotationX),
+    rotationY: toRadians(entry?.defaultTransform?.rotationY),
+  };
+}
+
+// e.g. "$42.00 per sq ft"
+export function formatPriceBasis({ amount, per, currency }) {
+  const price = new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  return `${price} ${PRICE_BASES[per]}`;
+}
+
+// Ids of the models starred in the gallery
+export function loadFavoriteModels() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(FAVORITES_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeFavoriteModels(ids) {
+  try {
+    window.localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(ids));
+  } catch {
+    // Private browsing can block storage; favorites then last for the session
+  }
+}
+
+// Case-insensitive match against the label, description, category and tags
+export function matchesSearch(entry, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = [
+    entry.label,
+    entry.description,
+    entry.category,
+    MODEL_CATEGORIES[entry.category],
+    ...(entry.tags || []),
+  ]
+    .join(' ')
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
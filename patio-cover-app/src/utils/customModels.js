@@ -0,0 +1,189 @@
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { setModelUrl } from './modelLoading';
+import { MODEL_FILE_EXTENSIONS, detectModelFormat } from './modelFormats';
+
+// Models the user drops onto the app: a .glb, a .gltf with its .bin and
+// texture files, an .obj with its .mtl and textures, an .fbx, an .stl, or a
+// .zip of any of these. They are read in the browser and served to the
+// loader as object URLs; nothing is uploaded. An import is kept as a package
+// of its files, { id, label, main, files: [{ path, blob }], unit, upAxis },
+// which saved designs store next to the photo. `unit` and `upAxis` are the
+// choices made on import for formats without them (see utils/modelFormats).
+
+export const CUSTOM_MODEL_PREFIX = 'custom:';
+export const CUSTOM_MODEL_CATEGORY = 'imported';
+
+const MODEL_FILE_PATTERN = new RegExp(`\\.(${MODEL_FILE_EXTENSIONS.join('|')})$`, 'i');
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|webp|gif|bmp|tga|tiff?)$/i;
+// MTL statements that name a texture file, as their last argument
+const MTL_TEXTURE_PATTERN = /^\s*(map_\w+|bump|disp|decal|norm|refl)\s.*?(\S+)\s*$/gm;
+
+// Catalog options (as promises) of the packages registered this session, by id
+const registered = new Map();
+
+function createCustomModelId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const baseName = (filePath) => filePath.split(/[/\\]/).pop();
+
+// Path of `uri` relative to the folder of `base`, with ./ and ../ resolved
+function resolvePath(base, uri) {
+  const parts = [];
+  `${base.slice(0, base.lastIndexOf('/') + 1)}${decodeURIComponent(uri)}`.split('/').forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+// A single-file drop has no folders, so fall back to the file name
+function findFile(files, filePath) {
+  return (
+    files.find((file) => file.path === filePath) ||
+    files.find((file) => baseName(file.path) === baseName(filePath))
+  );
+}
+
+// External buffers and images a .gltf refers to
+function externalUris(gltf) {
+  return [...(gltf.buffers || []), ...(gltf.images || [])]
+    .map(({ uri }) => uri)
+    .filter((uri) => uri && !uri.startsWith('data:'));
+}
+
+function requireFile(files, model, uri) {
+  const file = findFile(files, resolvePath(model.path, uri));
+  if (!file) {
+    throw new Error(
+      `${baseName(model.path)} needs ${uri}, which was not included. ` +
+        'Drop it together with the model, or drop everything as a .zip.'
+    );
+  }
+  return file;
+}
+
+// Files besides the model itself that it needs
+async function sidecarFiles(model, format, files) {
+  if (format === 'gltf' && !/\.glb$/i.test(model.path)) {
+    let gltf;
+    try {
+      gltf = JSON.parse(await model.blob.text());
+    } catch {
+      throw new Error(`${baseName(model.path)} is not a valid glTF file.`);
+    }
+    return externalUris(gltf).map((uri) => requireFile(files, model, uri));
+  }
+  if (format === 'obj') {
+    const library = (await model.blob.text()).match(/^mtllib\s+(.+?)\s*$/m)?.[1];
+    if (!library) return [];
+    const mtl = requireFile(files, model, library);
+    const textures = [...(await mtl.blob.text()).matchAll(MTL_TEXTURE_PATTERN)].map((match) =>
+      requireFile(files, mtl, match[2])
+    );
+    return [mtl, ...textures];
+  }
+  // FBX names its textures in binary; bring along every image in the drop
+  if (format === 'fbx') return files.filter((file) => IMAGE_FILE_PATTERN.test(file.path));
+  return [];
+}
+
+// Flat { path, blob } list of the dropped files, with zips unpacked
+async function expandFiles(fileList) {
+  const files = [];
+  for (const file of fileList) {
+    if (/\.zip$/i.test(file.name)) {
+      const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+      Object.entries(entries)
+        .filter(([entryPath]) => !entryPath.endsWith('/') && !entryPath.startsWith('__MACOSX/'))
+        .forEach(([entryPath, data]) => files.push({ path: entryPath, blob: new Blob([data]) }));
+    } else {
+      files.push({ path: file.webkitRelativePath || file.name, blob: file });
+    }
+  }
+  return files;
+}
+
+// Read dropped files into one package per model found among them
+export async function readModelFiles(fileList, { unit = 'auto', upAxis = 'auto' } = {}) {
+  const files = await expandFiles(fileList);
+  const models = files.filter((file) => MODEL_FILE_PATTERN.test(file.path));
+  if (models.length === 0) {
+    throw new Error(
+      'No model was found. Drop a .glb, .gltf, .obj, .fbx or .stl file, or a .zip containing one.'
+    );
+  }
+
+  return Promise.all(
+    models.map(async (model) => {
+      const label = baseName(model.path).replace(MODEL_FILE_PATTERN, '');
+      const sidecars = await sidecarFiles(model, detectModelFormat(model.path), files);
+      return {
+        id: createCustomModelId(),
+        label,
+        main: model.path,
+        files: [model, ...sidecars.filter((file, index) => sidecars.indexOf(file) === index)],
+        unit,
+        upAxis,
+      };
+    })
+  );
+}
+
+// Register the object URL of a package's main file. A .gltf is rewritten so
+// its buffers and images point at object URLs of the files that came with
+// it; other formats look their files up by name.
+async function registerModelUrl(modelPath, pkg) {
+  const main = pkg.files.find((file) => file.path === pkg.main);
+  const format = detectModelFormat(pkg.main);
+  if (format !== 'gltf' || /\.glb$/i.test(pkg.main)) {
+    const resources = new Map(
+      pkg.files
+        .filter((file) => file !== main)
+        .map((file) => [baseName(file.path), URL.createObjectURL(file.blob)])
+    );
+    setModelUrl(modelPath, URL.createObjectURL(main.blob), {
+      format,
+      resources,
+      unit: pkg.unit,
+      upAxis: pkg.upAxis,
+    });
+    return;
+  }
+
+  const gltf = JSON.parse(await main.blob.text());
+  const urls = new Map();
+  [...(gltf.buffers || []), ...(gltf.images || [])].forEach((resource) => {
+    if (!resource.uri || resource.uri.startsWith('data:')) return;
+    const file = findFile(pkg.files, resolvePath(pkg.main, resource.uri));
+    if (!urls.has(file)) urls.set(file, URL.createObjectURL(file.blob));
+    resource.uri = urls.get(file);
+  });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(gltf)], { type: 'model/gltf+json' }));
+  setModelUrl(modelPath, url, { format });
+}
+
+// Make a package loadable under its `custom:` model path; resolves to its
+// catalog option. Registering the same package again gives the same option.
+export function registerCustomModel(pkg) {
+  if (!registered.has(pkg.id)) {
+    const option = {
+      id: `custom-${pkg.id}`,
+      value: `${CUSTOM_MODEL_PREFIX}${pkg.id}`,
+      label: pkg.label,
+      category: CUSTOM_MODEL_CATEGORY,
+      description: 'Imported from your device',
+    };
+    const registration = registerModelUrl(option.value, pkg).then(() => option);
+    registration.catch(() => registered.delete(pkg.id));
+    registered.set(pkg.id, registration);
+  }
+  return registered.get(pkg.id);
+}
+
+// The packages behind the custom models `items` use
+export function usedCustomModels(packages, items) {
+  return packages.filter((pkg) =>
+    items.some((item) => item.modelPath === `${CUSTOM_MODEL_PREFIX}${pkg.id}`)
+  );
+}
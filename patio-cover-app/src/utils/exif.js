@@ -0,0 +1,65 @@
+import EXIF from 'exif-js';
+
+// Diagonal of a 36 x 24 mm full-frame sensor, the reference for
+// FocalLengthIn35mmFilm
+const FULL_FRAME_DIAGONAL = Math.hypot(36, 24);
+
+// FocalPlaneResolutionUnit values, in millimeters
+const FOCAL_PLANE_UNITS = { 2: 25.4, 3: 10, 4: 1, 5: 0.001 };
+
+// Read all EXIF tags from an image file. Resolves to an empty object when the
+// file has no EXIF data (PNGs, screenshots, stripped uploads).
+export function readExif(file) {
+  return new Promise((resolve) => {
+    try {
+      const found = EXIF.getData(file, function () {
+        resolve(EXIF.getAllTags(this) || {});
+      });
+      if (!found) resolve({});
+    } catch (error) {
+      console.warn('Could not read EXIF data:', error);
+      resolve({});
+    }
+  });
+}
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const fovFor = (sensorSize, focalLength) => toDegrees(2 * Math.atan(sensorSize / (2 * focalLength)));
+
+// Real horizontal/vertical field of view (degrees) of the photo as displayed,
+// or null if the EXIF data does not describe the lens well enough.
+// `imageWidth`/`imageHeight` are the displayed (already oriented) dimensions.
+export function fovFromExif(tags, imageWidth, imageHeight) {
+  // Sensor-oriented pixel size; orientations 5-8 are rotated a quarter turn
+  const rotated = tags.Orientation >= 5 && tags.Orientation <= 8;
+  const pixelWidth = Number(tags.PixelXDimension) || (rotated ? imageHeight : imageWidth);
+  const pixelHeight = Number(tags.PixelYDimension) || (rotated ? imageWidth : imageHeight);
+  if (!pixelWidth || !pixelHeight) return null;
+
+  let sensorWidth;
+  let sensorHeight;
+  let focalLength;
+
+  const focal35 = Number(tags.FocalLengthIn35mmFilm);
+  const focal = Number(tags.FocalLength);
+  const planeResolution = Number(tags.FocalPlaneXResolution);
+  const planeUnit = FOCAL_PLANE_UNITS[Number(tags.FocalPlaneResolutionUnit)];
+
+  if (focal35 > 0) {
+    // Equivalent sensor with the photo's aspect ratio and a full-frame diagonal
+    const diagonal = Math.hypot(pixelWidth, pixelHeight);
+    sensorWidth = (FULL_FRAME_DIAGONAL * pixelWidth) / diagonal;
+    sensorHeight = (FULL_FRAME_DIAGONAL * pixelHeight) / diagonal;
+    focalLength = focal35;
+  } else if (focal > 0 && planeResolution > 0 && planeUnit) {
+    sensorWidth = (pixelWidth / planeResolution) * planeUnit;
+    sensorHeight = (sensorWidth * pixelHeight) / pixelWidth;
+    focalLength = focal;
+  } else {
+    return null;
+  }
+
+  const horizontal = fovFor(sensorWidth, focalLength);
+  const vertical = fovFor(sensorHeight, focalLength);
+  return rotated ? { horizontal: vertical, vertical: horizontal } : { horizontal, vertical };
+}
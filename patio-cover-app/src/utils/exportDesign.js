@@ -0,0 +1,155 @@
+// Helpers for flattening the preview (background photo + WebGL overlay) into a
+// single image. The drawing code mirrors the CSS transforms used in App.jsx so
+// the exported file matches what the user sees in the scene container.
+
+// Browsers refuse (or silently blank) very large 2D canvases, so cap the area
+const MAX_EXPORT_PIXELS = 64 * 1024 * 1024;
+
+// Scale factor that object-fit: cover applies to an image inside a box
+export function getCoverScale(imageWidth, imageHeight, boxWidth, boxHeight) {
+  return Math.max(boxWidth / imageWidth, boxHeight / imageHeight);
+}
+
+// Apply the .image-wrapper transform: scale(zoom) translate(pan) around the center
+function applyWrapperTransform(ctx, width, height, zoom, pan) {
+  ctx.translate(width / 2, height / 2);
+  ctx.scale(zoom, zoom);
+  ctx.translate(pan.x, pan.y);
+  ctx.translate(-width / 2, -height / 2);
+}
+
+// Draw the photo like .background-photo: cover-fit inside the box, clipped to
+// it, then scale(backgroundZoom) around the center
+function drawPhoto(ctx, image, width, height, backgroundZoom) {
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const cover = getCoverScale(imageWidth, imageHeight, width, height);
+
+  ctx.save();
+  ctx.translate(width / 2, height / 2);
+  ctx.scale(backgroundZoom, backgroundZoom);
+  ctx.beginPath();
+  ctx.rect(-width / 2, -height / 2, width, height);
+  ctx.clip();
+  ctx.drawImage(
+    image,
+    (-imageWidth * cover) / 2,
+    (-imageHeight * cover) / 2,
+    imageWidth * cover,
+    imageHeight * cover
+  );
+  ctx.restore();
+}
+
+// Compose the photo and the rendered model into one canvas. `width`/`height`
+// are the on-screen size of the scene container; the output is scaled up so
+// the photo is drawn at its native resolution, times `scale` (2x, 4x...).
+//
+// When `renderOverlay` is given it is asked to render the 3D scene at the
+// output resolution for the visible part of the preview box; otherwise the
+// on-screen `glCanvas` is stretched over the photo. An optional photo-sized
+// `foreground` (the occlusion mask layer) is drawn last, over the model.
+export function composeDesign({
+  image,
+  glCanvas,
+  foreground,
+  renderOverlay,
+  width,
+  height,
+  zoom,
+  backgroundZoom,
+  pan,
+  scale = 1,
+}) {
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const cover = getCoverScale(imageWidth, imageHeight, width, height);
+  let pixelScale = (1 / (cover * backgroundZoom * zoom)) * scale;
+
+  const area = width * height * pixelScale * pixelScale;
+  if (area > MAX_EXPORT_PIXELS) {
+    pixelScale *= Math.sqrt(MAX_EXPORT_PIXELS / area);
+    console.warn('Export size reduced to stay within the browser canvas limits.');
+  }
+
+  const output = document.createElement('canvas');
+  output.width = Math.round(width * pixelScale);
+  output.height = Math.round(height * pixelScale);
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  ctx.save();
+  ctx.scale(output.width / width, output.height / height);
+  applyWrapperTransform(ctx, width, height, zoom, pan);
+  drawPhoto(ctx, image, width, height, backgroundZoom);
+  if (!renderOverlay && glCanvas) {
+    ctx.drawImage(glCanvas, 0, 0, width, height);
+  }
+  ctx.restore();
+
+  if (renderOverlay) {
+    // Part of the preview box that is visible after zoom and pan
+    const view = {
+      fullWidth: width,
+      fullHeight: height,
+      x: width / 2 - pan.x - width / (2 * zoom),
+      y: height / 2 - pan.y - height / (2 * zoom),
+      width: width / zoom,
+      height: height / zoom,
+    };
+    const overlay = renderOverlay(output.width, output.height, view);
+    ctx.drawImage(overlay, 0, 0, output.width, output.height);
+  }
+
+  if (foreground) {
+    ctx.save();
+    ctx.scale(output.width / width, output.height / height);
+    applyWrapperTransform(ctx, width, height, zoom, pan);
+    drawPhoto(ctx, foreground, width, height, backgroundZoom);
+    ctx.restore();
+  }
+
+  return output;
+}
+
+// Cut the visible part of the on-screen WebGL canvas (see composeDesign's view)
+export function cropPreviewCanvas(canvas, view) {
+  const ratioX = canvas.width / view.fullWidth;
+  const ratioY = canvas.height / view.fullHeight;
+  const cropped = document.createElement('canvas');
+  cropped.width = Math.max(1, Math.round(view.width * ratioX));
+  cropped.height = Math.max(1, Math.round(view.height * ratioY));
+  cropped
+    .getContext('2d')
+    .drawImage(
+      canvas,
+      view.x * ratioX,
+      view.y * ratioY,
+      view.width * ratioX,
+      view.height * ratioY,
+      0,
+      0,
+      cropped.width,
+      cropped.height
+    );
+  return cropped;
+}
+
+// Small preview of a composed design, e.g. for the saved designs list
+export function createThumbnail(canvas, maxSize = 320) {
+  const ratio = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = Math.max(1, Math.round(canvas.width * ratio));
+  thumbnail.height = Math.max(1, Math.round(canvas.height * ratio));
+  const ctx = thumbnail.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+  return new Promise((resolve) => thumbnail.toBlob(resolve, 'image/jpeg', 0.8));
+}
+
+export function downloadCanvas(canvas, filename) {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = canvas.toDataURL('image/png', 1.0);
+  link.click();
+}
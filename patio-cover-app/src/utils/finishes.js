@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+// Finishes (colors and PBR textures) for the named material slots of a model.
+// models.json declares a shared `finishes` library and, per model, `slots`:
+//   "slots": { "posts": { "label": "Posts", "nodes": ["Mesh001"],
+//                         "finishes": ["white", "bronze"], "default": "white" } }
+// A mesh belongs to a slot when its own name or an ancestor's is in `nodes`.
+
+const textureCache = new Map();
+
+function loadTexture(url, repeat = [1, 1]) {
+  const key = `${url}|${repeat.join(',')}`;
+  if (!textureCache.has(key)) {
+    const texture = new THREE.TextureLoader().load(url);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(...repeat);
+    textureCache.set(key, texture);
+  }
+  return textureCache.get(key);
+}
+
+// Slot list of a model with the finish chosen for each one (or its default);
+// `finish` is null when the model keeps its own material
+export function resolveSlotFinishes(slots = {}, selection = {}, library = {}) {
+  return Object.entries(slots).map(([name, slot]) => ({
+    name,
+    nodes: slot.nodes || [name],
+    finish: library[selection[name] ?? slot.default] || null,
+  }));
+}
+
+// Copy of `base` with a finish applied. Textured finishes replace the color
+// map (and optionally the normal/roughness maps) of the original material.
+export function createFinishMaterial(base, finish) {
+  const material = base.clone();
+  if (finish.color) material.color?.set(finish.color);
+  if (finish.roughness !== undefined) material.roughness = finish.roughness;
+  if (finish.metalness !== undefined) material.metalness = finish.metalness;
+  if (finish.opacity !== undefined) {
+    material.opacity = finish.opacity;
+    material.transparent = finish.opacity < 1;
+  }
+
+  if (finish.map) {
+    material.map = loadTexture(finish.map, finish.repeat);
+    material.map.colorSpace = THREE.SRGBColorSpace;
+  } else if (finish.color) {
+    // A painted finish hides whatever texture the model shipped with
+    material.map = null;
+  }
+  if (finish.normalMap) material.normalMap = loadTexture(finish.normalMap, finish.repeat);
+  if (finish.roughnessMap) material.roughnessMap = loadTexture(finish.roughnessMap, finish.repeat);
+  material.needsUpdate = true;
+  return material;
+}
+
+function findSlot(object, slotFinishes) {
+  for (let node = object; node; node = node.parent) {
+    const slot = slotFinishes.find(({ nodes }) => nodes.includes(node.name));
+    if (slot) return slot;
+  }
+  return null;
+}
+
+// Apply slot finishes to a loaded model in place. Every finished mesh gets a
+// material of its own, so placements of the same model can differ. Returns a
+// function that restores the shipped materials and frees the copies.
+export function applySlotFinishes(root, slotFinishes) {
+  const created = [];
+  root.traverse((object) => {
+    if (!object.isMesh) return;
+    object.userData.originalMaterial ??= object.material;
+    const slot = findSlot(object, slotFinishes);
+    if (slot?.finish) {
+      const material = createFinishMaterial(object.userData.originalMaterial, slot.finish);
+      created.push(material);
+      object.material = material;
+    } else {
+      object.material = object.userData.originalMaterial;
+    }
+  });
+
+  return () => {
+    root.traverse((object) => {
+      if (object.isMesh && object.userData.originalMaterial) {
+        object.material = object.userData.originalMaterial;
+      }
+    });
+    created.forEach((material) => material.dispose());
+  };
+}
+
+// CSS background for a finish swatch
+export function swatchStyle(finish) {
+  return finish.map
+    ? { backgroundImage: `url(${finish.map})`, backgroundSize: 'cover', backgroundColor: finish.color }
+    : { backgroundColor: finish.color };
+}
@@ -0,0 +1,104 @@
+// Baking EXIF orientation into the pixels, so the previewed photo, the overlay
+// and the exported image all share one upright coordinate system regardless of
+// how a browser treats the orientation tag.
+
+// 2x1 JPEG tagged with orientation 6. Browsers that honor EXIF orientation
+// when decoding report it as 1x2.
+const ORIENTATION_TEST_IMAGE =
+  'data:image/jpeg;base64,' +
+  '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEABALDA4MChAODQ4S' +
+  'ERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2MB' +
+  'ERISGBUYLxoaL2NCOEJjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2Nj' +
+  'Y2NjY2NjY2NjY//AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQID' +
+  'BAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEV' +
+  'UtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0' +
+  'dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV' +
+  '1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoL' +
+  'EQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEK' +
+  'FiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqC' +
+  'g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri' +
+  '4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/AOw8P/8AIvaZ/wBekX/oAoA//9k=';
+
+let appliesOrientationPromise = null;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The image could not be decoded.'));
+    image.src = src;
+  });
+}
+
+// Whether decoded images (and drawImage) already come out upright
+function browserAppliesOrientation() {
+  if (!appliesOrientationPromise) {
+    appliesOrientationPromise = loadImage(ORIENTATION_TEST_IMAGE)
+      .then((image) => image.naturalWidth === 1 && image.naturalHeight === 2)
+      .catch(() => false);
+  }
+  return appliesOrientationPromise;
+}
+
+// Canvas transform that maps a stored (sensor-oriented) image of the given
+// size to upright, for EXIF orientations 2-8
+function orientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2:
+      return [-1, 0, 0, 1, width, 0];
+    case 3:
+      return [-1, 0, 0, -1, width, height];
+    case 4:
+      return [1, 0, 0, -1, 0, height];
+    case 5:
+      return [0, 1, 1, 0, 0, 0];
+    case 6:
+      return [0, 1, -1, 0, height, 0];
+    case 7:
+      return [0, -1, -1, 0, height, width];
+    case 8:
+      return [0, -1, 1, 0, 0, width];
+    default:
+      return null;
+  }
+}
+
+// Return an upright version of `file`. Files without an orientation tag are
+// returned unchanged; everything else is re-encoded with the orientation
+// applied, so the result carries no rotation or mirroring metadata.
+export async function normalizeOrientation(file, orientation) {
+  if (!orientation || orientation === 1 || orientation > 8) return file;
+
+  const url = URL.createObjectURL(file);
+  try {
+    const [image, alreadyUpright] = await Promise.all([
+      loadImage(url),
+      browserAppliesOrientation(),
+    ]);
+    const rotated = orientation >= 5;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (alreadyUpright) {
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+    } else {
+      // Stored dimensions are sensor-oriented; swap them for quarter turns
+      canvas.width = rotated ? image.naturalHeight : image.naturalWidth;
+      canvas.height = rotated ? image.naturalWidth : image.naturalHeight;
+      ctx.transform(...orientationTransform(orientation, image.naturalWidth, image.naturalHeight));
+    }
+    ctx.drawImage(image, 0, 0);
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('The photo could not be re-encoded.'))),
+        type,
+        0.95
+      );
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
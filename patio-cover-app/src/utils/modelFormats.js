@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { metersPerUnit } from './units';
+
+// Model formats other than glTF, turned into the same kind of scene a GLB
+// gives: Y up, in meters, with MeshStandardMaterial everywhere so lighting
+// and finishes behave the same for every model.
+//
+// OBJ and STL carry no units. STL comes from CAD tools, which export
+// millimeters with Z up. OBJ is taken as Y up, in whichever of meters,
+// centimeters or millimeters gives it a plausible size (PLAUSIBLE_SIZE).
+// FBX states its unit and up axis. The person importing a model can override
+// both (see IMPORT_UNITS and IMPORT_UP_AXES).
+
+export const MODEL_FILE_EXTENSIONS = ['glb', 'gltf', 'obj', 'fbx', 'stl'];
+
+// Choices offered on import; 'auto' keeps the format's own or guessed value
+export const IMPORT_UNITS = ['auto', 'mm', 'cm', 'm', 'in', 'ft'];
+export const IMPORT_UP_AXES = ['auto', 'y', 'z'];
+
+const PLAUSIBLE_SIZE = [0.5, 30]; // meters, largest side
+const GUESSED_UNITS = [1, 0.01, 0.001];
+// Rotation that stands a model with the given up axis Y up
+const UP_AXIS_ROTATIONS = {
+  x: [0, 0, Math.PI / 2],
+  '-x': [0, 0, -Math.PI / 2],
+  y: [0, 0, 0],
+  '-y': [Math.PI, 0, 0],
+  z: [-Math.PI / 2, 0, 0],
+  '-z': [Math.PI / 2, 0, 0],
+};
+
+const extensionOf = (path) => path?.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1].toLowerCase();
+
+// 80-byte header, triangle count, 50 bytes per triangle
+function isBinaryStl(data) {
+  if (data.byteLength < 84) return false;
+  const count = new DataView(data).getUint32(80, true);
+  return data.byteLength === 84 + count * 50;
+}
+
+// 'gltf' (for .glb too), 'obj', 'fbx' or 'stl' from the file name, or from
+// the contents when the name does not tell (e.g. object URLs); null if unknown
+export function detectModelFormat(path, data) {
+  const extension = extensionOf(path);
+  if (extension === 'glb') return 'gltf';
+  if (MODEL_FILE_EXTENSIONS.includes(extension)) return extension;
+
+  const head = new TextDecoder().decode(new Uint8Array(data, 0, Math.min(data.byteLength, 1024)));
+  if (head.startsWith('glTF') || (/^\s*\{/.test(head) && head.includes('"asset"'))) return 'gltf';
+  if (head.startsWith('Kaydara FBX Binary') || head.includes('FBXHeaderExtension')) return 'fbx';
+  if (isBinaryStl(data) || (/^\s*solid\b/.test(head) && head.includes('facet'))) return 'stl';
+  if (/^(v|vt|vn|f|o|g|mtllib)\s/m.test(head)) return 'obj';
+  return null;
+}
+
+async function parseObj(data, path, manager) {
+  const text = new TextDecoder().decode(data);
+  const loader = new OBJLoader(manager);
+  // Only the first material library is used, as OBJLoader takes one
+  const library = text.match(/^mtllib\s+(.+?)\s*$/m)?.[1];
+  if (library) {
+    try {
+      const materials = await new MTLLoader(manager).setPath(path).loadAsync(library);
+      materials.preload();
+      loader.setMaterials(materials);
+    } catch (error) {
+      console.warn(`Could not load ${library}; using plain materials.`, error);
+    }
+  }
+  return loader.parse(text);
+}
+
+function parseStl(data) {
+  const geometry = new STLLoader().parse(data);
+  geometry.computeVertexNormals();
+  const material = new THREE.MeshStandardMaterial({
+    color: geometry.hasColors ? 0xffffff : 0xb0b0b0,
+    vertexColors: Boolean(geometry.hasColors),
+  });
+  return new THREE.Mesh(geometry, material);
+}
+
+// An integer property of the FBX GlobalSettings, such as UpAxis, or
+// undefined. ASCII files list it as `P: "UpAxis", "int", "Integer", "",1`;
+// binary files store the same values as typed records: a string is 'S', its
+// length and bytes, an integer is 'I' and 4 bytes.
+function readFbxSetting(data, name) {
+  const bytes = new Uint8Array(data);
+  if (!new TextDecoder().decode(bytes.subarray(0, 18)).startsWith('Kaydara FBX Binary')) {
+    const pattern = new RegExp(`"${name}",\\s*"int",\\s*"Integer",\\s*"[^"]*",\\s*(-?\\d+)`);
+    const value = new TextDecoder().decode(bytes).match(pattern)?.[1];
+    return value === undefined ? undefined : Number(value);
+  }
+
+  const view = new DataView(data);
+  const record = [0x53, name.length, 0, 0, 0, ...Array.from(name, (char) => char.charCodeAt(0))];
+  for (let start = bytes.indexOf(0x53); start !== -1; start = bytes.indexOf(0x53, start + 1)) {
+    if (!record.every((byte, index) => bytes[start + index] === byte)) continue;
+    // Skip the name, type, label and flags strings
+    let offset = start;
+    for (let field = 0; field < 4; field += 1) {
+      if (bytes[offset] !== 0x53 || offset + 5 > bytes.length) return undefined;
+      offset += 5 + view.getUint32(offset + 1, true);
+    }
+    return bytes[offset] === 0x49 && offset + 5 <= bytes.length ? view.getInt32(offset + 1, true) : undefined;
+  }
+  return undefined;
+}
+
+// 'y', '-z', ... from the FBX UpAxis (0, 1 or 2) and UpAxisSign settings
+function readFbxUpAxis(data) {
+  const axis = ['x', 'y', 'z'][readFbxSetting(data, 'UpAxis')];
+  if (!axis) return undefined;
+  return readFbxSetting(data, 'UpAxisSign') === -1 ? `-${axis}` : axis;
+}
+
+// The one of GUESSED_UNITS that gives the model a plausible size (at most one
+// can), or else comes closest to one
+function guessMetersPerUnit(object) {
+  const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+  const largest = Math.max(size.x, size.y, size.z);
+  if (!largest) return 1;
+  const [min, max] = PLAUSIBLE_SIZE;
+  const distance = (unit) => Math.max(min / (largest * unit), (largest * unit) / max);
+  return GUESSED_UNITS.reduce((best, unit) => (distance(unit) < distance(best) ? unit : best));
+}
+
+// Phong, Lambert and basic materials as MeshStandardMaterial
+function toStandardMaterial(material) {
+  if (material.isMeshStandardMaterial) return material;
+  const standard = new THREE.MeshStandardMaterial({
+    name: material.name,
+    color: material.color,
+    map: material.map,
+    normalMap: material.normalMap,
+    emissive: material.emissive,
+    emissiveMap: material.emissiveMap,
+    alphaMap: material.alphaMap,
+    transparent: material.transparent,
+    opacity: material.opacity,
+    side: material.side,
+    vertexColors: material.vertexColors,
+    // Shiny Phong materials read as smoother surfaces
+    roughness: material.shininess !== undefined ? 1 - Math.min(1, Math.sqrt(material.shininess / 100)) : 1,
+    metalness: 0,
+  });
+  material.dispose();
+  return standard;
+}
+
+// Wrap `object` so it stands Y up in meters with standard materials.
+// `upAxis` is one of UP_AXIS_ROTATIONS; without `scale` the unit is guessed.
+function normalizeObject(object, { scale, upAxis = 'y' }) {
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    child.material = Array.isArray(child.material)
+      ? child.material.map(toStandardMaterial)
+      : toStandardMaterial(child.material);
+  });
+  // Imported lights and cameras would fight the scene's own
+  const extras = [];
+  object.traverse((child) => (child.isLight || child.isCamera) && extras.push(child));
+  extras.forEach((child) => child.removeFromParent());
+
+  object.rotation.set(...UP_AXIS_ROTATIONS[upAxis]);
+  object.scale.setScalar(scale || guessMetersPerUnit(object));
+
+  const root = new THREE.Group();
+  root.add(object);
+  return root;
+}
+
+// Parse OBJ (with its MTL), FBX or STL data into a normalized scene.
+// `path` is the folder relative resources resolve against and `manager` a
+// LoadingManager that can redirect them (see utils/customModels). `unit` and
+// `upAxis` are the choices made on import, 'auto' or undefined for none.
+export async function parseModel(format, data, { path = '', manager, unit, upAxis } = {}) {
+  const chosen = {
+    scale: unit && unit !== 'auto' ? metersPerUnit(unit) : undefined,
+    upAxis: upAxis && upAxis !== 'auto' ? upAxis : undefined,
+  };
+  switch (format) {
+    case 'obj':
+      return normalizeObject(await parseObj(data, path, manager), chosen);
+    case 'fbx': {
+      const object = new FBXLoader(manager).parse(data, path);
+      // FBX counts in centimeters, times its unit scale factor
+      return normalizeObject(object, {
+        scale: chosen.scale ?? (object.userData.unitScaleFactor ?? 1) / 100,
+        upAxis: chosen.upAxis ?? readFbxUpAxis(data),
+      });
+    }
+    case 'stl':
+      return normalizeObject(parseStl(data), {
+        scale: chosen.scale ?? metersPerUnit('mm'),
+        upAxis: chosen.upAxis ?? 'z',
+      });
+    default:
+      throw new Error(`Unsupported model format${format ? ` "${format}"` : ''}`);
+  }
+}
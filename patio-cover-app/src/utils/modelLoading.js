@@ -0,0 +1,154 @@
+import { LoaderUtils, LoadingManager, WebGLRenderer } from 'three';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { detectModelFormat, parseModel } from './modelFormats';
+
+// Model downloads with progress and errors sorted into what the user can do
+// about them: retry a flaky connection, fix a missing file, or replace a
+// damaged one.
+
+export const LOAD_ERROR_MESSAGES = {
+  network: 'could not be downloaded. Check the connection and try again.',
+  missing: 'is missing from the server.',
+  parse: 'could not be read. The file may be damaged or in an unsupported format.',
+};
+
+// Draco and Basis decoders are served from our own origin; see
+// scripts/copy-decoders.js. Meshopt's decoder is bundled with the app.
+const DECODER_PATH = '/decoders/';
+
+// Model paths that load from another URL, such as imported files held as
+// object URLs (see utils/customModels): { url, format, resources, unit, upAxis }
+const modelSources = new Map();
+
+let gltfLoader = null;
+let ktx2Loader = null;
+let textureSupportKnown = false;
+
+function getLoader() {
+  if (!gltfLoader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(`${DECODER_PATH}basis/`);
+    gltfLoader = new GLTFLoader()
+      .setDRACOLoader(new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`))
+      .setKTX2Loader(ktx2Loader)
+      .setMeshoptDecoder(MeshoptDecoder);
+  }
+  return gltfLoader;
+}
+
+// KTX2 textures are transcoded into a format the GPU supports, which is read
+// from the renderer. The app's canvas registers itself; before that a
+// throwaway renderer is asked once.
+export function detectTextureSupport(renderer) {
+  getLoader();
+  ktx2Loader.detectSupport(renderer);
+  textureSupportKnown = true;
+}
+
+function ensureTextureSupport() {
+  if (textureSupportKnown) return;
+  const renderer = new WebGLRenderer();
+  try {
+    detectTextureSupport(renderer);
+  } finally {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+}
+
+// `format` is needed when the URL does not end in the file extension;
+// `resources` maps file names the model refers to (textures, .mtl) to URLs;
+// `unit` and `upAxis` are passed on to parseModel
+export function setModelUrl(modelPath, url, { format, resources, unit, upAxis } = {}) {
+  modelSources.set(modelPath, { url, format, resources, unit, upAxis });
+}
+
+// Loading manager that serves a model's sidecar files from `resources`
+function createResourceManager(resources) {
+  const manager = new LoadingManager();
+  manager.setURLModifier((requested) => {
+    const name = decodeURIComponent(requested).split(/[/\\]/).pop();
+    return resources.get(name) ?? requested;
+  });
+  return manager;
+}
+
+export class ModelLoadError extends Error {
+  constructor(kind, message, cause) {
+    super(message, { cause });
+    this.name = 'ModelLoadError';
+    this.kind = kind;
+  }
+}
+
+// Download `url` into an ArrayBuffer, calling `onProgress(fraction, bytes)`
+// as data arrives; `fraction` is null when the size is unknown
+async function download(url, onProgress) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new ModelLoadError('network', `Network error while fetching ${url}`, error);
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    throw new ModelLoadError('missing', `${url} was not found (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new ModelLoadError('network', `${url} failed with HTTP ${response.status}`);
+  }
+  // Dev servers and SPA hosts answer unknown paths with the app's own page
+  if ((response.headers.get('content-type') || '').includes('text/html')) {
+    throw new ModelLoadError('missing', `${url} was not found (got an HTML page instead)`);
+  }
+
+  const total = Number(response.headers.get('content-length')) || 0;
+  if (!response.body) return response.arrayBuffer();
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      onProgress?.(total ? Math.min(1, loaded / total) : null, loaded);
+    }
+  } catch (error) {
+    throw new ModelLoadError('network', `The download of ${url} was interrupted`, error);
+  }
+
+  const buffer = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return buffer.buffer;
+}
+
+// Fetch and parse a model into { scene }. GLB/GLTF files may use Draco or
+// Meshopt geometry and KTX2 textures; OBJ, FBX and STL are converted as
+// described in utils/modelFormats. Rejects with a ModelLoadError.
+export async function loadModel(url, onProgress) {
+  const source = modelSources.get(url) ?? { url };
+  const data = await download(source.url, onProgress);
+  const path = LoaderUtils.extractUrlBase(source.url);
+  try {
+    const format = source.format ?? detectModelFormat(url, data);
+    if (format !== 'gltf') {
+      const manager = source.resources ? createResourceManager(source.resources) : undefined;
+      const { unit, upAxis } = source;
+      return { scene: await parseModel(format, data, { path, manager, unit, upAxis }) };
+    }
+    ensureTextureSupport();
+    const gltf = await getLoader().parseAsync(data, path);
+    return { scene: gltf.scene };
+  } catch (error) {
+    throw new ModelLoadError('parse', `${url} could not be parsed: ${error.message}`, error);
+  }
+}
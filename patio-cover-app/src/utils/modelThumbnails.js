@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+import { COVER_PART_MATERIALS, buildCoverParts, isParametricModel } from './parametricCover';
+import { defaultRotation } from './catalog';
+import { acquireModel, disposeObject, releaseModel } from './assetManager';
+import { parseDimensions } from './units';
+
+// Catalog thumbnails for models.json entries without a `thumbnail` image.
+// Each model is rendered once from a three-quarter view into a PNG data URL.
+// Renders run one at a time so the gallery never holds more than one extra
+// WebGL context.
+
+const THUMBNAIL_SIZE = 256;
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.7, 1.4).normalize();
+
+const thumbnails = new Map();
+let queue = Promise.resolve();
+
+function createCoverObject(option) {
+  const group = new THREE.Group();
+  const materials = Object.fromEntries(
+    Object.entries(COVER_PART_MATERIALS).map(([part, options]) => [
+      part,
+      new THREE.MeshStandardMaterial(options),
+    ])
+  );
+  const dimensions = parseDimensions(option.dimensions);
+  buildCoverParts(dimensions, option.parameters).forEach(({ part, position, rotation, size }) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), materials[part]);
+    mesh.position.set(...position);
+    mesh.rotation.set(...rotation);
+    group.add(mesh);
+  });
+  return group;
+}
+
+// Model files come from the shared cache, so rendering a thumbnail also
+// warms it for the first placement
+async function loadObject(option) {
+  if (isParametricModel(option.value)) {
+    const object = createCoverObject(option);
+    return { object, release: () => disposeObject(object) };
+  }
+  const { scene } = await acquireModel(option.value);
+  return { object: scene, release: () => releaseModel(option.value) };
+}
+
+// Frame the object's bounding sphere from VIEW_DIRECTION
+function renderObject(object) {
+  const scene = new THREE.Scene();
+  scene.add(new THREE.AmbientLight(0xffffff, 0.7));
+  const light = new THREE.DirectionalLight(0xffffff, 1.2);
+  light.position.set(5, 10, 7);
+  scene.add(light);
+  scene.add(object);
+
+  const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+  const camera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+  const distance = (sphere.radius || 1) / Math.sin(THREE.MathUtils.degToRad(35 / 2));
+  camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance * 1.05);
+  camera.lookAt(sphere.center);
+  camera.near = distance / 100;
+  camera.far = distance * 3;
+  camera.updateProjectionMatrix();
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+  try {
+    renderer.setPixelRatio(1);
+    renderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, false);
+    renderer.setClearColor(0x000000, 0);
+    renderer.render(scene, camera);
+    return renderer.domElement.toDataURL('image/png');
+  } finally {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+}
+
+async function renderThumbnail(option) {
+  const { object, release } = await loadObject(option);
+  try {
+    const { rotationX, rotationY } = defaultRotation(option);
+    object.rotation.set(rotationX, rotationY, 0);
+    return renderObject(object);
+  } finally {
+    release();
+  }
+}
+
+// Image URL for a catalog entry: its own thumbnail, or a rendered one
+export function getModelThumbnail(option) {
+  if (option.thumbnail) return Promise.resolve(option.thumbnail);
+  if (!thumbnails.has(option.value)) {
+    const job = queue.then(() => renderThumbnail(option));
+    queue = job.catch(() => {});
+    // Forget failures so a later request renders the thumbnail again
+    job.catch(() => thumbnails.delete(option.value));
+    thumbnails.set(option.value, job);
+  }
+  return thumbnails.get(option.value);
+}
@@ -0,0 +1,97 @@
+// Occlusion mask helpers. The mask is a canvas at the photo's native size
+// whose alpha marks foreground pixels (trees, railings...) that should be
+// drawn in front of the 3D model.
+
+const MASK_COLOR = '#fff';
+const TINT_COLOR = 'rgba(255, 0, 80, 0.45)';
+
+export function createMask(width, height) {
+  const mask = document.createElement('canvas');
+  mask.width = width;
+  mask.height = height;
+  return mask;
+}
+
+export function clearMask(mask) {
+  mask.getContext('2d').clearRect(0, 0, mask.width, mask.height);
+}
+
+// Paint (or erase) a round-capped stroke between two photo-space points
+export function paintStroke(mask, from, to, size, erase = false) {
+  const ctx = mask.getContext('2d');
+  ctx.save();
+  ctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+  ctx.strokeStyle = MASK_COLOR;
+  ctx.fillStyle = MASK_COLOR;
+  ctx.lineWidth = size;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  if (from.x === to.x && from.y === to.y) {
+    ctx.beginPath();
+    ctx.arc(to.x, to.y, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else {
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+export function fillPolygon(mask, points) {
+  if (points.length < 3) return;
+  const ctx = mask.getContext('2d');
+  ctx.save();
+  ctx.fillStyle = MASK_COLOR;
+  ctx.beginPath();
+  points.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+// Draw the photo pixels covered by the mask into `target` (a canvas of the
+// same size). With `tint` the masked area is also highlighted for editing.
+export function drawForeground(target, mask, image, { tint = false } = {}) {
+  const ctx = target.getContext('2d');
+  ctx.save();
+  ctx.clearRect(0, 0, target.width, target.height);
+  ctx.drawImage(mask, 0, 0);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.drawImage(image, 0, 0, target.width, target.height);
+  if (tint) {
+    ctx.globalCompositeOperation = 'source-atop';
+    ctx.fillStyle = TINT_COLOR;
+    ctx.fillRect(0, 0, target.width, target.height);
+  }
+  ctx.restore();
+}
+
+function hasMaskedPixels(mask) {
+  const { data } = mask.getContext('2d').getImageData(0, 0, mask.width, mask.height);
+  for (let index = 3; index < data.length; index += 4) {
+    if (data[index]) return true;
+  }
+  return false;
+}
+
+// Standalone foreground layer for exports, or null when nothing is masked
+export function renderForeground(mask, image) {
+  if (!mask || !hasMaskedPixels(mask)) return null;
+  const foreground = createMask(mask.width, mask.height);
+  drawForeground(foreground, mask, image);
+  return foreground;
+}
+
+export function maskToBlob(mask) {
+  return new Promise((resolve) => mask.toBlob(resolve, 'image/png'));
+}
+
+export async function maskFromBlob(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const mask = createMask(bitmap.width, bitmap.height);
+  mask.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return mask;
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// Editing aids (gizmos, helpers) are visible on screen but not in exports
+function isEditorOnly(object) {
+  return object.isTransformControls || object.userData?.editorOnly;
+}
+
+// Render a scene into a fresh canvas of the requested pixel size, independent
+// of the on-screen <Canvas>. `view` is the visible part of the preview box (in
+// CSS pixels of the `fullWidth` x `fullHeight` box) and is applied as a camera
+// view offset so the framing matches the zoomed/panned preview exactly.
+export function renderSceneOffscreen({ gl, scene, camera, width, height, view }) {
+  const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    alpha: true,
+    preserveDrawingBuffer: true,
+  });
+
+  try {
+    // Stay within what the GPU can allocate; the caller scales the result up
+    const maxSize = Math.min(
+      renderer.capabilities.maxTextureSize,
+      renderer.capabilities.maxRenderbufferSize ?? Infinity
+    );
+    const fit = Math.min(1, maxSize / width, maxSize / height);
+    const renderWidth = Math.max(1, Math.floor(width * fit));
+    const renderHeight = Math.max(1, Math.floor(height * fit));
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(renderWidth, renderHeight, false);
+    renderer.setClearColor(0x000000, 0);
+    renderer.outputColorSpace = gl.outputColorSpace;
+    renderer.toneMapping = gl.toneMapping;
+    renderer.toneMappingExposure = gl.toneMappingExposure;
+    renderer.shadowMap.enabled = gl.shadowMap.enabled;
+    renderer.shadowMap.type = gl.shadowMap.type;
+
+    const exportCamera = camera.clone();
+    if (view) {
+      exportCamera.setViewOffset(
+        view.fullWidth,
+        view.fullHeight,
+        view.x,
+        view.y,
+        view.width,
+        view.height
+      );
+    } else {
+      exportCamera.clearViewOffset();
+    }
+    exportCamera.updateProjectionMatrix();
+
+    const hidden = [];
+    scene.traverse((object) => {
+      if (object.visible && isEditorOnly(object)) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+    try {
+      renderer.render(scene, exportCamera);
+    } finally {
+      hidden.forEach((object) => {
+        object.visible = true;
+      });
+    }
+
+    // Copy into a 2D canvas so the WebGL context can be released right away
+    const result = document.createElement('canvas');
+    result.width = renderWidth;
+    result.height = renderHeight;
+    result.getContext('2d').drawImage(renderer.domElement, 0, 0);
+    return result;
+  } finally {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+}
@@ -0,0 +1,190 @@
+// Procedural patio cover: posts, beams, rafters, purlins and roof panels laid
+// out from the overall size and a few construction parameters, so any quote
+// can be shown without modeling a new GLB. All sizes are in meters, with the
+// footprint centered on the origin, the ground at y = 0 and the front (low
+// side of a single-slope roof) towards +Z. Attached covers hang their back
+// edge on a ledger board at the wall, so only the front row has posts.
+
+export const PARAMETRIC_PREFIX = 'parametric:';
+
+export const isParametricModel = (modelPath) => modelPath?.startsWith(PARAMETRIC_PREFIX);
+
+export const COVER_STYLES = {
+  solid: 'Solid roof',
+  lattice: 'Open lattice',
+  gable: 'Gable roof',
+};
+
+export const COVER_MOUNTINGS = {
+  freestanding: 'Freestanding',
+  attached: 'Attached to wall',
+};
+
+export const DEFAULT_COVER_DIMENSIONS = { width: 4.8, depth: 3.6, height: 3 };
+
+export const DEFAULT_COVER_PARAMETERS = {
+  postCount: 3,
+  overhang: 0.3,
+  pitch: 5,
+  style: 'solid',
+  mounting: 'freestanding',
+};
+
+export const COVER_PARAMETER_LIMITS = {
+  postCount: [2, 8],
+  overhang: [0, 1],
+  pitch: [0, 30],
+};
+
+// Default finish of each part. Parts are opaque; a finish with an opacity
+// (such as clear roof panels) makes them translucent.
+export const COVER_PART_MATERIALS = {
+  posts: { color: '#f2f0eb', roughness: 0.6 },
+  beams: { color: '#f2f0eb', roughness: 0.6 },
+  rafters: { color: '#ebe8e1', roughness: 0.6 },
+  purlins: { color: '#ebe8e1', roughness: 0.6 },
+  roof: { color: '#d8dcdf', roughness: 0.4 },
+};
+
+// Lumber sizes (width x height of the cross-section) and spacing
+const POST_SIZE = 0.1;
+const BEAM = { width: 0.1, height: 0.2 };
+const RAFTER = { width: 0.05, height: 0.15, spacing: 0.6 };
+const PURLIN = { width: 0.05, height: 0.05, spacing: 0.4 };
+const PANEL_THICKNESS = 0.02;
+const MIN_POST_HEIGHT = 0.3;
+
+const evenlySpaced = (start, end, count) =>
+  count < 2
+    ? [(start + end) / 2]
+    : Array.from({ length: count }, (_, index) => start + ((end - start) * index) / (count - 1));
+
+// A box lying on a roof slope. The slope's underside follows `line(z)` and
+// drops by tan(angle) per meter towards +Z; `offset` lifts the box off that
+// underside along the slope normal.
+function slopedBox({ part, x, width, zStart, zEnd, line, angle, offset, thickness }) {
+  const z = (zStart + zEnd) / 2;
+  const lift = offset + thickness / 2;
+  return {
+    part,
+    position: [x, line(z) + Math.cos(angle) * lift, z + Math.sin(angle) * lift],
+    rotation: [angle, 0, 0],
+    size: [width, thickness, (zEnd - zStart) / Math.cos(angle)],
+  };
+}
+
+// Describe every piece of the cover as a box: { part, position, rotation, size }
+export function buildCoverParts({ width, depth, height }, parameters = {}) {
+  const { postCount, overhang, pitch, style, mounting } = {
+    ...DEFAULT_COVER_PARAMETERS,
+    ...parameters,
+  };
+  const attached = mounting === 'attached';
+  const slope = Math.tan((pitch * Math.PI) / 180);
+  const roofThickness = RAFTER.height + PURLIN.height + (style === 'lattice' ? 0 : PANEL_THICKNESS);
+  const roofWidth = width + overhang * 2;
+  const back = attached ? -depth / 2 : -depth / 2 - overhang;
+  const front = depth / 2 + overhang;
+
+  // Underside of the rafters: highest at the back edge for a single slope, at
+  // the ridge for a gable. `height` is the very top of the roof.
+  const peak = height - roofThickness;
+  const line = style === 'gable' ? (z) => peak - Math.abs(z) * slope : (z) => peak - (z - back) * slope;
+
+  // Each roof plane as a z range and its tilt
+  const angle = Math.atan(slope);
+  const planes =
+    style === 'gable'
+      ? [
+          { zStart: back, zEnd: 0, angle: -angle },
+          { zStart: 0, zEnd: front, angle },
+        ]
+      : [{ zStart: back, zEnd: front, angle }];
+
+  const parts = [];
+  const postXs = evenlySpaced(-width / 2 + POST_SIZE / 2, width / 2 - POST_SIZE / 2, postCount);
+
+  [-depth / 2 + POST_SIZE / 2, depth / 2 - POST_SIZE / 2].forEach((z, row) => {
+    const beamTop = line(z);
+    const postHeight = Math.max(MIN_POST_HEIGHT, beamTop - BEAM.height);
+    parts.push({
+      part: 'beams',
+      position: [0, postHeight + BEAM.height / 2, z],
+      rotation: [0, 0, 0],
+      size: [roofWidth, BEAM.height, BEAM.width],
+    });
+    // The back beam of an attached cover is the ledger on the wall
+    if (attached && row === 0) return;
+    postXs.forEach((x) => {
+      parts.push({
+        part: 'posts',
+        position: [x, postHeight / 2, z],
+        rotation: [0, 0, 0],
+        size: [POST_SIZE, postHeight, POST_SIZE],
+      });
+    });
+  });
+
+  const rafterCount = Math.max(2, Math.ceil(roofWidth / RAFTER.spacing) + 1);
+  const rafterXs = evenlySpaced(
+    -roofWidth / 2 + RAFTER.width / 2,
+    roofWidth / 2 - RAFTER.width / 2,
+    rafterCount
+  );
+
+  planes.forEach(({ zStart, zEnd, angle: planeAngle }) => {
+    rafterXs.forEach((x) => {
+      parts.push(
+        slopedBox({
+          part: 'rafters',
+          x,
+          width: RAFTER.width,
+          zStart,
+          zEnd,
+          line,
+          angle: planeAngle,
+          offset: 0,
+          thickness: RAFTER.height,
+        })
+      );
+    });
+
+    // Purlins run across the rafters, spaced along the slope
+    const run = (zEnd - zStart) / Math.cos(planeAngle);
+    const purlinCount = Math.max(2, Math.ceil(run / PURLIN.spacing) + 1);
+    const footprint = PURLIN.width * Math.cos(planeAngle);
+    evenlySpaced(zStart + footprint / 2, zEnd - footprint / 2, purlinCount).forEach((z) => {
+      parts.push(
+        slopedBox({
+          part: 'purlins',
+          x: 0,
+          width: roofWidth,
+          zStart: z - footprint / 2,
+          zEnd: z + footprint / 2,
+          line,
+          angle: planeAngle,
+          offset: RAFTER.height,
+          thickness: PURLIN.height,
+        })
+      );
+    });
+
+    if (style !== 'lattice') {
+      parts.push(
+        slopedBox({
+          part: 'roof',
+          x: 0,
+          width: roofWidth,
+          zStart,
+          zEnd,
+          line,
+          angle: planeAngle,
+          offset: RAFTER.height + PURLIN.height,
+          thickness: PANEL_THICKNESS,
+        })
+      );
+    }
+  });
+
+  return parts;
+}
@@ -0,0 +1,86 @@
+// Saved designs, kept in IndexedDB so nothing leaves the device. A project
+// holds the photo and mask as blobs next to the plain scene/camera state.
+
+const DB_NAME = 'patio-cover-visualizer';
+const DB_VERSION = 1;
+const STORE = 'projects';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('This browser does not support saving designs.'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run `work` against the projects store and resolve with its request's result
+async function withStore(mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = work(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function createProjectId() {
+  return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Newest first
+export async function listProjects() {
+  const projects = await withStore('readonly', (store) => store.getAll());
+  return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getProject(id) {
+  return withStore('readonly', (store) => store.get(id));
+}
+
+// Insert or update; returns the stored record (with id and timestamps)
+export async function saveProject(project) {
+  const now = Date.now();
+  const existing = project.id ? await getProject(project.id) : null;
+  const record = {
+    ...project,
+    id: project.id || createProjectId(),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+}
+
+export async function renameProject(id, name) {
+  const project = await getProject(id);
+  if (!project) throw new Error('This design no longer exists.');
+  return saveProject({ ...project, name });
+}
+
+export async function duplicateProject(id) {
+  const project = await getProject(id);
+  if (!project) throw new Error('This design no longer exists.');
+  return saveProject({ ...project, id: null, name: `${project.name} (copy)` });
+}
+
+export function deleteProject(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+import { unprojectToPlane } from './screenProjection';
+
+// Reference-object scale calibration. A line drawn over an object of known
+// length is unprojected onto the camera-facing plane through the selected
+// structure, which tells how long that length is in scene units at the
+// structure's depth. Their ratio is the factor that makes real-world model
+// dimensions read correctly in the photo.
+
+// `line` is two preview-box points, `knownLength` the real length in meters
+export function solveReferenceScale({ camera, line, width, height, depthPoint, knownLength }) {
+  if (!(knownLength > 0)) {
+    throw new Error('Enter the real length of the reference object.');
+  }
+  const pixelLength = Math.hypot(line[1].x - line[0].x, line[1].y - line[0].y);
+  if (pixelLength < 5) {
+    throw new Error('Drag the line ends to both ends of the reference object.');
+  }
+
+  camera.updateMatrixWorld();
+  // Plane facing the camera through the structure
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+    camera.getWorldDirection(new THREE.Vector3()),
+    new THREE.Vector3(...depthPoint)
+  );
+  const start = unprojectToPlane(camera, line[0], width, height, plane);
+  const end = unprojectToPlane(camera, line[1], width, height, plane);
+  if (!start || !end) {
+    throw new Error('The selected structure is behind the camera. Move it into view first.');
+  }
+
+  return {
+    scale: start.distanceTo(end) / knownLength,
+    pixelsPerMeter: pixelLength / knownLength,
+    knownLength,
+  };
+}
+
+export function createDefaultReferenceLine(width, height) {
+  return [
+    { x: width * 0.4, y: height * 0.5 },
+    { x: width * 0.6, y: height * 0.5 },
+  ];
+}
@@ -0,0 +1,142 @@
+import { Euler, Quaternion, Vector3 } from 'three';
+import {
+  DEFAULT_COVER_DIMENSIONS,
+  DEFAULT_COVER_PARAMETERS,
+  isParametricModel,
+} from './parametricCover';
+import { parseDimensions } from './units';
+import { defaultRotation } from './catalog';
+import { placeAgainstWall } from './wallMount';
+
+// Placed structures in the scene. Each item carries its own model and
+// transform so several covers/gazebos can be composed in one design.
+// Positions and dimensions are in meters.
+
+let idCounter = 0;
+
+function createItemId() {
+  idCounter += 1;
+  return `item-${Date.now().toString(36)}-${idCounter}`;
+}
+
+// `defaults` comes from the catalog (see itemDefaultsFromCatalog). A null
+// `dimensions` ({ width, depth, height } in meters) means "the model's own size".
+export function createItem(modelPath, defaults = {}) {
+  return {
+    id: createItemId(),
+    modelPath,
+    position: [0, 0, 0],
+    rotationX: 0,
+    rotationY: 0,
+    dimensions: null,
+    ...defaults,
+  };
+}
+
+// Item fields taken from a models.json entry: its default orientation and
+// size, plus construction parameters for generated covers
+export function itemDefaultsFromCatalog(option) {
+  const dimensions = parseDimensions(option?.dimensions);
+  const defaults = { dimensions, ...defaultRotation(option) };
+  if (!isParametricModel(option?.value)) return defaults;
+  return {
+    ...defaults,
+    dimensions: dimensions || DEFAULT_COVER_DIMENSIONS,
+    parameters: { ...DEFAULT_COVER_PARAMETERS, ...option.parameters },
+  };
+}
+
+// Swap the model of an item in place, keeping its identity and placement
+export function replaceModel(item, modelPath, defaults) {
+  return { ...createItem(modelPath, defaults), id: item.id, position: item.position };
+}
+
+// Copy an item with a new id, nudged sideways so it does not hide the original
+export function duplicateItem(item) {
+  return {
+    ...item,
+    id: createItemId(),
+    position: [item.position[0] + 1, item.position[1], item.position[2]],
+  };
+}
+
+export function updateItem(items, id, changes) {
+  return items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+}
+
+// Ranges of the transform controls; gizmo edits are clamped to the same bounds
+export const POSITION_LIMITS = [
+  [-10, 10],
+  [-10, 10],
+  [-5, 5],
+];
+export const DIMENSION_LIMITS = [0.3, 30];
+const FULL_TURN = Math.PI * 2;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const roundTo = (value, digits = 3) => Number(value.toFixed(digits));
+const wrapAngle = (angle) => ((angle % FULL_TURN) + FULL_TURN) % FULL_TURN;
+const clampPosition = (position) =>
+  position.map((value, index) => roundTo(clamp(value, POSITION_LIMITS[index])));
+
+const X_AXIS = new Vector3(1, 0, 0);
+
+// Read back the transform of an object moved by the on-canvas gizmo as item
+// changes. The gizmo's scale is relative (the object starts at 1), so it is
+// multiplied into the item's current `dimensions`. The gizmo only turns the
+// object about its own Y axis, so the X tilt stays `rotationX`. The yaw is
+// read from the quaternion with that tilt taken out: object.rotation turns
+// past 90° into a flip of X and Z plus a smaller Y angle.
+export function transformFromObject(object, dimensions, rotationX = 0) {
+  const { position, quaternion, scale } = object;
+  const yaw = new Quaternion().setFromAxisAngle(X_AXIS, -rotationX).multiply(quaternion);
+  return {
+    position: clampPosition([position.x, position.y, position.z]),
+    rotationY: roundTo(wrapAngle(new Euler().setFromQuaternion(yaw, 'YXZ').y)),
+    dimensions: {
+      width: roundTo(clamp(dimensions.width * scale.x, DIMENSION_LIMITS)),
+      height: roundTo(clamp(dimensions.height * scale.y, DIMENSION_LIMITS)),
+      depth: roundTo(clamp(dimensions.depth * scale.z, DIMENSION_LIMITS)),
+    },
+  };
+}
+
+// An attached cover keeps its back edge on the traced wall (see utils/wallMount)
+export function isWallMounted(item) {
+  return Boolean(
+    isParametricModel(item.modelPath) && item.parameters?.mounting === 'attached' && item.wall
+  );
+}
+
+// Position and heading of a wall-mounted item at the given scene scale
+export function wallPlacement(item, sceneScale) {
+  const { position, rotationY } = placeAgainstWall(item.wall, item.dimensions.depth * sceneScale);
+  return { position: clampPosition(position), rotationY };
+}
+
+// Place wall-mounted items again where their depth or the scene scale
+// changed from `previousItems` to `items`. Returns `items` if none did.
+export function keepWallPlacements(previousItems, items, previousScale, sceneScale) {
+  let changed = false;
+  const placed = items.map((item) => {
+    const previous = previousItems.find((entry) => entry.id === item.id);
+    if (!previous || !isWallMounted(item)) return item;
+    if (previous.dimensions?.depth === item.dimensions.depth && previousScale === sceneScale) return item;
+    changed = true;
+    return { ...item, ...wallPlacement(item, sceneScale) };
+  });
+  return changed ? placed : items;
+}
+
+const sceneScaleOf = (design) => design.referenceScale?.scale ?? 1;
+
+// Design after `changes` (an object, or a function of the design). Attached
+// covers follow changes to their depth and to the scene scale. Returns
+// `design` itself when nothing changes, so no undo step is recorded.
+export function applyDesignChanges(design, changes) {
+  const next = { ...design, ...(typeof changes === 'function' ? changes(design) : changes) };
+  const items = keepWallPlacements(design.items, next.items, sceneScaleOf(design), sceneScaleOf(next));
+  const unchanged =
+    items === design.items && Object.keys(next).every((key) => next[key] === design[key]);
+  return unchanged ? design : { ...next, items };
+}
@@ -0,0 +1,74 @@
+import { Object3D } from 'three';
+import { describe, expect, it } from 'vitest';
+import { applyDesignChanges, keepWallPlacements, transformFromObject } from './sceneItems';
+
+const DIMENSIONS = { width: 3, height: 2.5, depth: 4 };
+
+describe('transformFromObject', () => {
+  it('keeps the yaw when the gizmo turns an object past 90°', () => {
+    const object = new Object3D();
+    object.rotateY(2);
+    // three.js reads this back as a flip: (-π, 1.14, -π) in XYZ order
+    expect(object.rotation.y).toBeCloseTo(Math.PI - 2);
+
+    const changes = transformFromObject(object, DIMENSIONS);
+    expect(changes.rotationY).toBeCloseTo(2);
+    expect(changes).not.toHaveProperty('rotationX');
+  });
+
+  it('reads the yaw of a tilted object turned about its own Y axis', () => {
+    const object = new Object3D();
+    object.rotation.set(0.5, 1, 0);
+    object.rotateY(3);
+
+    expect(transformFromObject(object, DIMENSIONS, 0.5).rotationY).toBeCloseTo(4);
+  });
+
+  it('multiplies the gizmo scale into the dimensions', () => {
+    const object = new Object3D();
+    object.scale.set(2, 1, 0.5);
+
+    expect(transformFromObject(object, DIMENSIONS).dimensions).toEqual({ width: 6, height: 2.5, depth: 2 });
+  });
+});
+
+describe('keepWallPlacements', () => {
+  const wall = { start: [-2, -3], end: [2, -3], normal: [0, 1] };
+  const cover = {
+    id: 'cover',
+    modelPath: 'parametric:cover',
+    position: [0, 0, -1],
+    rotationY: 0,
+    dimensions: { width: 4, height: 3, depth: 4 },
+    parameters: { mounting: 'attached' },
+    wall,
+  };
+
+  it('moves an attached cover out when its depth or the scene scale changes', () => {
+    const deeper = { ...cover, dimensions: { ...cover.dimensions, depth: 6 } };
+    expect(keepWallPlacements([cover], [deeper], 1, 1)[0].position).toEqual([0, 0, 0]);
+    expect(keepWallPlacements([cover], [cover], 1, 0.5)[0].position).toEqual([0, 0, -2]);
+  });
+
+  it('keeps the placement within the position limits', () => {
+    expect(keepWallPlacements([cover], [cover], 1, 40)[0].position).toEqual([0, 0, 5]);
+  });
+
+  it('leaves other changes alone', () => {
+    const moved = [{ ...cover, position: [1, 0, -1] }];
+    expect(keepWallPlacements([cover], moved, 1, 1)).toBe(moved);
+  });
+});
+
+describe('applyDesignChanges', () => {
+  const design = { items: [], zoom: 1, referenceScale: null };
+
+  it('returns the same design when nothing changes', () => {
+    expect(applyDesignChanges(design, { zoom: 1, referenceScale: null })).toBe(design);
+    expect(applyDesignChanges(design, (current) => ({ items: current.items }))).toBe(design);
+  });
+
+  it('returns a new design with the changes applied', () => {
+    expect(applyDesignChanges(design, { zoom: 2 })).toEqual({ ...design, zoom: 2 });
+  });
+});
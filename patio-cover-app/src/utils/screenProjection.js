@@ -0,0 +1,13 @@
+import * as THREE from 'three';
+
+// The ground the calibrated camera is solved against (see cameraCalibration)
+export const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+// Cast a ray through a point of the preview box (CSS pixels of a `width` x
+// `height` box) and return where it meets `plane`, or null if it never does
+export function unprojectToPlane(camera, point, width, height, plane) {
+  const ndc = new THREE.Vector2((point.x / width) * 2 - 1, -(point.y / height) * 2 + 1);
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(ndc, camera);
+  return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+}
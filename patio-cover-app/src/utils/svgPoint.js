@@ -0,0 +1,12 @@
+// Convert a pointer event to the local coordinates of an SVG overlay, through
+// whatever CSS transforms (zoom, pan) sit above it, clamped to its viewBox.
+export function toSvgPoint(svg, e, width, height) {
+  const point = svg.createSVGPoint();
+  point.x = e.clientX;
+  point.y = e.clientY;
+  const local = point.matrixTransform(svg.getScreenCTM().inverse());
+  return {
+    x: Math.min(width, Math.max(0, local.x)),
+    y: Math.min(height, Math.max(0, local.y)),
+  };
+}
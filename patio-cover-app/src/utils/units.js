@@ -0,0 +1,65 @@
+// The scene works in meters; these helpers convert for display and input in
+// the user's preferred unit system.
+
+export const UNIT_SYSTEMS = {
+  metric: { label: 'm', name: 'Metric (m)', perMeter: 1 },
+  imperial: { label: 'ft', name: 'Imperial (ft)', perMeter: 3.28084 },
+};
+
+const UNIT_ALIASES = {
+  m: 1,
+  meter: 1,
+  meters: 1,
+  cm: 0.01,
+  mm: 0.001,
+  ft: 1 / UNIT_SYSTEMS.imperial.perMeter,
+  feet: 1 / UNIT_SYSTEMS.imperial.perMeter,
+  in: 0.0254,
+  inches: 0.0254,
+};
+
+const UNIT_STORAGE_KEY = 'patio-cover-unit-system';
+
+// Meters per unit for a unit name such as 'ft' or 'cm', or undefined
+export function metersPerUnit(unit = 'm') {
+  return UNIT_ALIASES[String(unit).toLowerCase()];
+}
+
+export function toDisplayLength(meters, system) {
+  return meters * UNIT_SYSTEMS[system].perMeter;
+}
+
+export function fromDisplayLength(value, system) {
+  return value / UNIT_SYSTEMS[system].perMeter;
+}
+
+export function formatLength(meters, system, digits = 1) {
+  return `${toDisplayLength(meters, system).toFixed(digits)} ${UNIT_SYSTEMS[system].label}`;
+}
+
+export function loadUnitSystem() {
+  try {
+    const stored = window.localStorage.getItem(UNIT_STORAGE_KEY);
+    return UNIT_SYSTEMS[stored] ? stored : 'imperial';
+  } catch {
+    return 'imperial';
+  }
+}
+
+export function storeUnitSystem(system) {
+  try {
+    window.localStorage.setItem(UNIT_STORAGE_KEY, system);
+  } catch {
+    // Private browsing can block storage; the choice then lasts for the session
+  }
+}
+
+// Catalog dimensions ({ width, depth, height, unit }) converted to meters, or
+// null if they are missing or not positive numbers
+export function parseDimensions(dimensions) {
+  if (!dimensions) return null;
+  const factor = metersPerUnit(dimensions.unit || 'm');
+  const { width, depth, height } = dimensions;
+  if (!factor || ![width, depth, height].every((value) => Number(value) > 0)) return null;
+  return { width: width * factor, depth: depth * factor, height: height * factor };
+}
@@ -0,0 +1,54 @@
+import { GROUND_PLANE, unprojectToPlane } from './screenProjection';
+
+// Attached (ledger-mounted) covers. The user traces the foot of the house
+// wall in the photo; with a calibrated camera both ends land on the ground
+// plane, which gives the wall in scene coordinates. The cover's back edge
+// (local -Z) is then placed on that line, facing away from the wall.
+
+// Trace along the bottom third of the view, where walls usually meet the ground
+export function createDefaultWallLine(width, height) {
+  return [
+    { x: width * 0.25, y: height * 0.7 },
+    { x: width * 0.75, y: height * 0.7 },
+  ];
+}
+
+// Wall on the ground as { start, end, normal }, all [x, z]. `normal` points
+// away from the wall towards the camera.
+export function solveWallLine({ camera, line, width, height }) {
+  camera.updateMatrixWorld();
+  const [start, end] = line.map((point) =>
+    unprojectToPlane(camera, point, width, height, GROUND_PLANE)
+  );
+  if (!start || !end) {
+    throw new Error('Both ends of the wall line must be on the ground, below the horizon.');
+  }
+
+  const dx = end.x - start.x;
+  const dz = end.z - start.z;
+  const length = Math.hypot(dx, dz);
+  if (length < 0.1) {
+    throw new Error('Drag the line ends apart along the bottom of the wall.');
+  }
+
+  let normal = [dz / length, -dx / length];
+  const toCamera = [camera.position.x - start.x, camera.position.z - start.z];
+  if (normal[0] * toCamera[0] + normal[1] * toCamera[1] < 0) {
+    normal = [-normal[0], -normal[1]];
+  }
+
+  return { start: [start.x, start.z], end: [end.x, end.z], normal };
+}
+
+// Position and heading that center an item's back edge on the wall line.
+// `depth` is the item's depth in scene units, so its origin sits half of it
+// out from the wall.
+export function placeAgainstWall(wall, depth) {
+  const center = [(wall.start[0] + wall.end[0]) / 2, (wall.start[1] + wall.end[1]) / 2];
+  const [nx, nz] = wall.normal;
+  const angle = Math.atan2(nx, nz);
+  return {
+    position: [center[0] + (nx * depth) / 2, 0, center[1] + (nz * depth) / 2],
+    rotationY: (angle + Math.PI * 2) % (Math.PI * 2),
+  };
+}